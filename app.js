@@ -2,23 +2,307 @@ const express = require('express')
 const path = require('path')
 const fs = require('fs')
 const crypto = require('crypto')
+const pricing = require('./lib/pricing')
+const latency = require('./lib/latency')
+const { createWorkerPool } = require('./lib/capacity')
+const chaos = require('./lib/chaos')
+const { parseScenario, createScenarioRunner } = require('./lib/scenario')
+const rateLimit = require('./lib/ratelimit')
+const { NORMALIZERS, mergeSettings, normalizeSettings } = require('./lib/settings')
+const { normalizeSeedOptions, generateSeed, addDays, localDate } = require('./lib/seed')
+const { DATA_FILES, PAYMENT_METHODS: DATA_PAYMENT_METHODS, normalizeDataOptions, generateDataFile } = require('./lib/testdata')
+const { buildTestPlan } = require('./lib/jmx')
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics')
+const { createLiveStats, LATENCY_WINDOW_SECONDS } = require('./lib/livestats')
+const { createAccessLog, toJtl } = require('./lib/accesslog')
+const { monitorEventLoopDelay } = require('perf_hooks')
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks')
+const { buildOpenApiDocument } = require('./lib/openapi')
+const { signJwt, verifyJwt } = require('./lib/jwt')
+const { createStorage, PersistentMap, logWriteError } = require('./lib/storage')
+const { createTenants, isValidTenantId, prefixLinks } = require('./lib/tenants')
+const { version } = require('./package.json')
 const app = express()
 const PORT = process.env.PORT || 3000
 
 // --- 1. MIDDLEWARE ---
 
 app.use(express.urlencoded({ extended: true }))
+app.use(express.json())
+
+// --- TENANTS (WORKSHOP MODE) ---
+// /t/<team>/... is the whole app once more for one team, with its own config, bookings, sessions
+// and tokens (see lib/tenants.js). The instructor's overview is /config/tenants on the main hotel.
+//   TENANTS=auto (default, a team is created on its first visit) | manual (only from /config/tenants) | off
+//   TENANTS_MAX=50     teams at the same time
+const TENANT_MODES = ['auto', 'manual', 'off']
+const TENANTS_MODE = String(process.env.TENANTS || 'auto').toLowerCase()
+if (!TENANT_MODES.includes(TENANTS_MODE)) throw new Error(`Unknown TENANTS "${process.env.TENANTS}" (expected ${TENANT_MODES.join(', ')})`)
+const tenants = createTenants({ max: Number(process.env.TENANTS_MAX) || 50 })
+const TENANT_NAME_RULE = 'Team names are 1 to 32 lowercase letters, digits and "-" (and not "default").'
+
+// A team's cookies are renamed (username -> username-red), so a login on the main hotel doesn't count inside it
+const tenantCookieName = (tenant, name) => tenant.isDefault ? name : `${name}-${tenant.id}`
+
+// Routes only ever see the path without /t/<team>; links, redirects and cookie paths get it back on the way out
+const enterTenant = (tenant, res) => {
+  const { prefix } = tenant
+  const location = res.location
+  res.location = function (url) {
+    return location.call(this, /^\/(?!\/)/.test(url) ? prefix + url : url)
+  }
+  const cookie = res.cookie
+  res.cookie = function (name, value, options = {}) {
+    const cookiePath = options.path && options.path !== '/' ? options.path : ''
+    return cookie.call(this, tenantCookieName(tenant, name), value, { ...options, path: prefix + cookiePath })
+  }
+  const send = res.send
+  res.send = function (body) {
+    const type = res.get('Content-Type')
+    return send.call(this, typeof body === 'string' && (!type || type.startsWith('text/html')) ? prefixLinks(body, prefix) : body)
+  }
+}
+
+app.use((req, res, next) => {
+  const match = TENANTS_MODE !== 'off' && req.url.match(/^\/t\/([^/?]+)(.*)$/)
+  if (!match) {
+    req.tenant = tenants.defaultTenant
+    return tenants.run(req.tenant, next)
+  }
+
+  const tenant = TENANTS_MODE === 'auto' ? tenants.open(match[1]) : tenants.get(match[1])
+  if (!tenant || tenant.isDefault) {
+    const reason = !isValidTenantId(match[1])
+      ? TENANT_NAME_RULE
+      : TENANTS_MODE === 'auto' ? `All ${tenants.max} team environments are in use.` : 'Ask the instructor to create this team first.'
+    return res.status(404).send(`<h3>❌ 404 Unknown Team</h3><p>${reason}</p>`)
+  }
+  req.tenant = tenant
+  req.url = match[2].startsWith('/') ? match[2] : `/${match[2]}`
+  enterTenant(tenant, res)
+  tenants.run(tenant, next)
+})
+
+// Request ID: reuse the client's X-Request-Id when it looks sane, otherwise make one up
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id')
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  res.set('X-Request-Id', req.id)
+  next()
+})
+
+// Route pattern for logs and metrics (/rooms/:id), anything unrouted counts as "other"
+const routeLabel = (req) => req.route ? `${req.baseUrl}${req.route.path}` : 'other'
+
+// Access Log (see lib/accesslog.js for the ACCESS_LOG_* settings)
+const accessLog = createAccessLog()
+let requestsInFlight = 0
+
+app.use((req, res, next) => {
+  const startedAt = Date.now()
+  const start = process.hrtime.bigint()
+  requestsInFlight++
+  // Bound so config and the other tenant state resolve to this request's tenant
+  res.on('close', AsyncResource.bind(() => {
+    const inFlight = requestsInFlight--
+    const delay = res.locals.injectedDelayMs
+    accessLog.log({
+      time: new Date().toISOString(),
+      startedAt,
+      id: req.id,
+      ip: req.ip,
+      method: req.method,
+      url: req.originalUrl,
+      fullUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      httpVersion: req.httpVersion,
+      route: routeLabel(req),
+      status: res.writableFinished ? res.statusCode : 'aborted',
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+      bytes: Number(res.get('Content-Length')) || 0,
+      requestBytes: Number(req.get('Content-Length')) || 0,
+      user: req.user || null,
+      authMode: config.authMode,
+      delayMs: delay === undefined ? null : Math.round(delay),
+      queueMs: delay === undefined ? null : Math.round(res.locals.queueWaitMs),
+      fault: res.locals.chaosFault || null,
+      inFlight,
+      referer: req.get('Referer') || null,
+      userAgent: req.get('User-Agent') || null,
+      tenant: req.tenant.id
+    })
+  }))
+  next()
+})
+
+// --- METRICS ---
+// Prometheus metrics at /metrics, see lib/metrics.js
+// Route labels come from routeLabel()
+const metrics = createRegistry()
+
+const httpRequests = metrics.counter('hotel_http_requests_total', 'HTTP requests by route and status (status "aborted" = connection closed before the response finished)', ['method', 'route', 'status'])
+const httpDuration = metrics.histogram('hotel_http_request_duration_seconds', 'Total time to answer a request', ['method', 'route'])
+const httpInjectedDelay = metrics.histogram('hotel_http_injected_delay_seconds', 'Artificial latency drawn from the route latency profile', ['method', 'route'])
+const httpQueueWait = metrics.histogram('hotel_http_queue_wait_seconds', 'Time spent waiting for a worker (capacity model)', ['method', 'route'])
+const httpProcessing = metrics.histogram('hotel_http_processing_seconds', 'Request time excluding injected delay and queue wait', ['method', 'route'])
+const httpInFlight = metrics.gauge('hotel_http_requests_in_flight', 'Requests currently being handled')
+const chaosFaults = metrics.counter('hotel_chaos_faults_total', 'Faults injected by Chaos Mode and the chaos rules', ['fault'])
+const rateLimited = metrics.counter('hotel_rate_limited_total', 'Requests rejected with 429 by a rate limit rule', ['rule'])
+const capacityRejected = metrics.counter('hotel_capacity_rejected_total', 'Requests rejected with 503 because the worker queue was full')
+
+metrics.gauge('hotel_worker_pool_active', 'Requests holding a simulated worker', [], (gauge) => gauge.set({}, workerPool.getStatus().active))
+metrics.gauge('hotel_worker_pool_queued', 'Requests waiting for a simulated worker', [], (gauge) => gauge.set({}, workerPool.getStatus().queued))
+metrics.gauge('hotel_sessions_active', 'Active login sessions by kind', ['type'], (gauge) => {
+  gauge.set({ type: 'cookie' }, cookieSessions.size)
+  gauge.set({ type: 'token' }, tokenStore.size)
+  gauge.set({ type: 'refresh_token' }, refreshTokenStore.size)
+})
+metrics.gauge('hotel_reservations', 'Reservations by room type and status', ['room', 'status'], (gauge) => {
+  gauge.reset()
+  for (const r of reservations) gauge.inc({ room: r.room, status: r.status })
+})
+
+// Node process metrics; event loop lag covers the time since the previous scrape
+// (the monitor's timer interval is subtracted, so an idle loop reports ~0)
+const EVENT_LOOP_RESOLUTION_MS = 10
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS })
+const eventLoopLag = (nanoseconds) => Math.max(0, (nanoseconds || 0) / 1e9 - EVENT_LOOP_RESOLUTION_MS / 1000)
+eventLoopDelay.enable()
+const processStart = Date.now() / 1000
+
+metrics.gauge('process_cpu_seconds_total', 'User and system CPU time', [], (gauge) => {
+  const { user, system } = process.cpuUsage()
+  gauge.set({}, (user + system) / 1e6)
+})
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size', [], (gauge) => gauge.set({}, process.memoryUsage().rss))
+metrics.gauge('process_start_time_seconds', 'Start time since the Unix epoch', [], (gauge) => gauge.set({}, processStart))
+metrics.gauge('nodejs_heap_size_used_bytes', 'V8 heap in use', [], (gauge) => gauge.set({}, process.memoryUsage().heapUsed))
+metrics.gauge('nodejs_heap_size_total_bytes', 'V8 heap allocated', [], (gauge) => gauge.set({}, process.memoryUsage().heapTotal))
+metrics.gauge('nodejs_eventloop_lag_seconds', 'Event loop delay since the last scrape', ['quantile'], (gauge) => {
+  gauge.set({ quantile: 'mean' }, eventLoopLag(eventLoopDelay.mean))
+  gauge.set({ quantile: '0.99' }, eventLoopLag(eventLoopDelay.percentile(99)))
+  gauge.set({ quantile: 'max' }, eventLoopLag(eventLoopDelay.max))
+  eventLoopDelay.reset()
+})
+
+// Per-second numbers for the live dashboard (/config/live), see lib/livestats.js
+const liveStats = tenants.scoped('liveStats', () => createLiveStats())
 
-// Request Logger
 app.use((req, res, next) => {
-  console.log(`[${new Date().toLocaleTimeString()}] ${req.method} ${req.url}`)
+  const start = process.hrtime.bigint()
+  const url = req.url
+  httpInFlight.inc({})
+  res.on('close', AsyncResource.bind(() => {
+    httpInFlight.inc({}, -1)
+    const labels = { method: req.method, route: routeLabel(req) }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9
+    const injected = (res.locals.injectedDelayMs || 0) / 1000
+    const queued = (res.locals.queueWaitMs || 0) / 1000
+    const status = res.writableFinished ? res.statusCode : 'aborted'
+    httpRequests.inc({ ...labels, status })
+    httpDuration.observe(labels, seconds)
+    // The dashboard shows the load test, not the instructor watching it
+    if (!url.startsWith('/config') && !url.startsWith('/metrics')) {
+      liveStats.record(`${req.method} ${labels.route}`, status, seconds * 1000)
+    }
+    if (res.locals.injectedDelayMs !== undefined) {
+      httpInjectedDelay.observe(labels, injected)
+      httpQueueWait.observe(labels, queued)
+    }
+    httpProcessing.observe(labels, Math.max(0, seconds - injected - queued))
+  }))
   next()
 })
 
+app.get('/metrics', (_req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render())
+})
+
+// --- SERVER TIMING & DIAGNOSTIC HEADERS ---
+// Server-Timing splits each response into auth, queue (worker wait), injected-delay, db
+// (availability checks), render (layout()) and app (everything else), plus the chaos fault if one fired.
+// The timings of the current request are found through AsyncLocalStorage, so helpers don't need req.
+const requestTimings = new AsyncLocalStorage()
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6
+
+const addTiming = (name, ms) => {
+  const timings = requestTimings.getStore()
+  if (timings) timings[name] = (timings[name] || 0) + ms
+}
+
+// Wraps a synchronous function so its run time is added to the named timing
+const timed = (name, fn) => (...args) => {
+  const start = process.hrtime.bigint()
+  try {
+    return fn(...args)
+  } finally {
+    addTiming(name, elapsedMs(start))
+  }
+}
+
+// X-Backend-Node: requests are spread round-robin over these pretend nodes behind a load balancer
+const BACKEND_NODES = ['tad-web-01', 'tad-web-02', 'tad-web-03']
+let nextBackendNode = 0
+
+// X-Cache: what a CDN in front would report, nothing is actually cached. Anonymous GETs answered
+// with 200 are a HIT when the same URL was served in the last CACHE_TTL_MS, everything else BYPASS.
+const CACHE_TTL_MS = 30 * 1000
+const cachedUrls = new Map()
+
+const cacheStatus = (req, res) => {
+  if (req.method !== 'GET' || req.user || res.statusCode !== 200) return 'BYPASS'
+  const now = Date.now()
+  const hit = now - (cachedUrls.get(req.originalUrl) || 0) < CACHE_TTL_MS
+  if (!hit) {
+    if (cachedUrls.size >= 1000) cachedUrls.clear()
+    cachedUrls.set(req.originalUrl, now)
+  }
+  return hit ? 'HIT' : 'MISS'
+}
+
+const serverTimingHeader = (timings, res, total) => {
+  const injected = res.locals.injectedDelayMs
+  const parts = {
+    auth: timings.auth || 0,
+    queue: res.locals.queueWaitMs || 0,
+    'injected-delay': injected || 0,
+    db: timings.db || 0,
+    render: timings.render || 0
+  }
+  const app = Math.max(0, total - Object.values(parts).reduce((sum, ms) => sum + ms, 0))
+  return [
+    ...Object.entries(parts).map(([name, ms]) => `${name};dur=${ms.toFixed(2)}`),
+    `app;dur=${app.toFixed(2)}`,
+    ...(res.locals.chaosFault ? [`chaos;desc="${res.locals.chaosFault}"`] : []),
+    `total;dur=${total.toFixed(2)}`
+  ].join(', ')
+}
+
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint()
+  const timings = {}
+  // Headers are added just before they are sent, once the route has done its work
+  const writeHead = res.writeHead
+  res.writeHead = function (...args) {
+    if (!res.headersSent) {
+      res.setHeader('Server-Timing', serverTimingHeader(timings, res, elapsedMs(start)))
+      if (config.diagnosticHeaders) {
+        res.setHeader('X-Backend-Node', BACKEND_NODES[nextBackendNode++ % BACKEND_NODES.length])
+        res.setHeader('X-Cache', cacheStatus(req, res))
+        res.setHeader('X-Auth-Mode', config.authMode)
+      }
+    }
+    return writeHead.apply(this, args)
+  }
+  requestTimings.run(timings, next)
+})
+
 // Helper: Cookie Parser
 const getCookie = (req, name) => {
   if (!req.headers.cookie) return null;
-  const match = req.headers.cookie.match(new RegExp('(^| )' + name + '=([^;]+)'));
+  const match = req.headers.cookie.match(new RegExp('(^| )' + tenantCookieName(req.tenant, name) + '=([^;]+)'));
   return match ? match[2] : null;
 }
 
@@ -36,26 +320,124 @@ app.get('/images/:filename', (req, res) => {
   else res.status(404).send('Image not found')
 })
 
+// API Docs: OpenAPI document + offline Swagger UI explorer (served from node_modules)
+app.use('/docs/assets', express.static(path.join(__dirname, 'node_modules/swagger-ui-dist')))
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument({ roomTypes, version, authMode: config.authMode, basePath: req.tenant.prefix }))
+})
+app.get('/docs', (req, res) => {
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>API Explorer • Hotel The Apex Drift (TAD)</title>
+  <link rel="stylesheet" href="/docs/assets/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${req.tenant.prefix}/openapi.json', dom_id: '#swagger-ui', withCredentials: true })
+  </script>
+</body>
+</html>`)
+})
+
 // --- 2. STATE & CONFIG ---
+// All state is per tenant (tenants.scoped, see TENANTS above): the main hotel keeps using
+// the configured storage, teams start empty with the default config and live in memory.
 
-const reservations = []
+// Persistence backend (STORAGE=memory|json|sqlite), see lib/storage
+// State below is loaded from it before the server starts listening
+const defaultStorage = createStorage()
+const storage = tenants.scoped('storage', (tenant) => tenant.isDefault ? defaultStorage : createStorage({ STORAGE: 'memory' }))
+
+const reservations = tenants.scoped('reservations', () => [])
+const ids = tenants.scoped('ids', () => ({ nextReservationId: 1 }))
 
 // Token storage for token-based auth
-// Maps token -> { username, createdAt }
-const tokenStore = new Map()
+// Maps token -> { username, createdAt, lastSeen }
+const tokenStore = tenants.scoped('tokenStore', (tenant) => new PersistentMap(tenants.stateOf(tenant, 'storage'), 'tokens'))
 
 // Cookie session tracking
-// Maps username -> last seen timestamp
-const cookieSessions = new Map()
+// Maps username -> { createdAt, lastSeen }
+const cookieSessions = tenants.scoped('cookieSessions', (tenant) => new PersistentMap(tenants.stateOf(tenant, 'storage'), 'cookieSessions'))
+
+// Refresh tokens for JWT auth (access tokens themselves are stateless)
+// Maps refresh token -> { username, createdAt, expiresAt }
+const refreshTokenStore = tenants.scoped('refreshTokenStore', (tenant) => new PersistentMap(tenants.stateOf(tenant, 'storage'), 'refreshTokens'))
+
+// Admin sessions for /config, independent of the auth mode (switching it logs out everybody else)
+// Maps session id -> { username, createdAt, expiresAt }
+const configSessions = tenants.scoped('configSessions', (tenant) => new PersistentMap(tenants.stateOf(tenant, 'storage'), 'configSessions'))
+
+// One-time anti-forgery tokens for HTML forms
+// Maps token -> { form, user, createdAt, usedAt }
+const csrfTokens = tenants.scoped('csrfTokens', () => new Map())
 
-// GLOBAL CONFIG
-let config = {
-  delays: { login: 0, menu: 0, reserve: 0, overview: 0, rooms: 0, search: 0, checkout: 0 },
+// Recent sampled delays per route (config.delays), reported on /config
+// Maps route -> [ms, ...] (last LATENCY_SAMPLE_LIMIT requests)
+const latencySamples = tenants.scoped('latencySamples', () => ({}))
+const LATENCY_SAMPLE_LIMIT = 1000
+
+// Signing key for JWTs; a random key means tokens don't survive a restart
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex')
+
+// Each team signs with its own key derived from JWT_SECRET, so tokens don't work in another team's hotel
+const jwtSecret = () => {
+  const tenant = tenants.current()
+  return tenant.isDefault ? JWT_SECRET : crypto.createHmac('sha256', JWT_SECRET).update(tenant.id).digest('hex')
+}
+
+// Untouched defaults: every tenant starts from a copy, presets and PUT /config/settings start from these
+const DEFAULT_CONFIG = {
+  // Latency profile per route (constant/uniform/normal/lognormal/spike), see lib/latency.js
+  delays: {
+    login: latency.normalizeProfile(0),
+    menu: latency.normalizeProfile(0),
+    reserve: latency.normalizeProfile(0),
+    overview: latency.normalizeProfile(0),
+    rooms: latency.normalizeProfile(0),
+    search: latency.normalizeProfile(0),
+    checkout: latency.normalizeProfile(0)
+  },
   errorRate: 0,
+  // Per-route fault rules [{ fault, probability, method, path }], see lib/chaos.js
+  chaosRules: [],
+  // Token-bucket limits [{ method, path, limit, perSeconds }] per client (keyBy: user/token/ip), see lib/ratelimit.js
+  rateLimit: {
+    enabled: false,
+    keyBy: 'user',
+    rules: [
+      { method: 'POST', path: '/login', limit: 5, perSeconds: 60 },
+      { method: 'POST', path: '/reserve', limit: 10, perSeconds: 60 }
+    ]
+  },
+  // Minutes a PENDING_PAYMENT booking holds its room before it expires
+  paymentHoldMinutes: 15,
+  // Simulated backend capacity: workers serving requests (0 = unlimited) and how many may wait for one
+  capacity: { workers: 0, queueSize: 50 },
+  // Lifetimes (seconds) of the access and refresh tokens in 'jwt' mode
+  jwt: { accessTokenSeconds: 300, refreshTokenSeconds: 3600 },
+  // Anti-forgery tokens on the reserve/checkout/config forms; cookie adds a matching XSRF-TOKEN cookie
+  csrf: { enabled: false, cookie: false },
+  // Cookie session / URL token lifetimes in minutes (0 = never expires)
+  sessions: { absoluteMinutes: 0, idleMinutes: 0 },
+  // X-Backend-Node, X-Cache and X-Auth-Mode on every response (Server-Timing is always sent)
+  diagnosticHeaders: false,
   // Default is now 'cookie' (easiest for recording)
   authMode: 'cookie' 
 }
 
+// GLOBAL CONFIG (of the current tenant)
+const config = tenants.scoped('config', () => JSON.parse(JSON.stringify(DEFAULT_CONFIG)))
+
+// Overlays saved settings onto the defaults, merging nested groups key by key
+// so settings added in later versions keep their default values (and unknown ones are dropped)
+const mergeConfig = (saved) => {
+  Object.assign(config, normalizeSettings(mergeSettings(config, saved || {}), DEFAULT_CONFIG, { strict: false }))
+}
+
 // LOAD ROOMS
 let roomTypes = []
 try {
@@ -69,6 +451,37 @@ try {
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
 
+// Shared by every delayed route, see lib/capacity.js
+const workerPool = tenants.scoped('workerPool', (tenant) => createWorkerPool(() => tenants.stateOf(tenant, 'config').capacity))
+
+// Sleeps for a delay drawn from the route's latency profile
+// The drawn value is reported in the X-Simulated-Delay header (ms) and summarised on /config
+// With config.capacity.workers set, the delay is the route's service time: it is spent holding
+// a worker, time waiting for one is reported in X-Queue-Time, and a full queue throws a 503
+const injectLatency = async (res, route) => {
+  const queuedAt = Date.now()
+  const release = await workerPool.acquire()
+  if (!release) {
+    capacityRejected.inc()
+    res.set('Retry-After', '1')
+    throw Object.assign(new Error('All workers are busy and the request queue is full.'), { status: 503 })
+  }
+
+  const ms = latency.sampleDelay(config.delays[route])
+  const samples = latencySamples[route] || (latencySamples[route] = [])
+  samples.push(ms)
+  if (samples.length > LATENCY_SAMPLE_LIMIT) samples.shift()
+  res.locals.injectedDelayMs = ms
+  res.locals.queueWaitMs = Date.now() - queuedAt
+  res.set('X-Simulated-Delay', String(ms))
+  res.set('X-Queue-Time', String(res.locals.queueWaitMs))
+  try {
+    await sleep(ms)
+  } finally {
+    release()
+  }
+}
+
 const escapeHtml = (unsafe) => {
   if (!unsafe) return ""
   return unsafe
@@ -137,7 +550,11 @@ const getUserFromToken = (token) => {
   
   // Check if token exists in store
   const tokenData = tokenStore.get(token)
-  if (tokenData) return tokenData.username
+  if (tokenData) {
+    // In memory only: storage is written on create and remove, not on every request
+    tokenData.lastSeen = new Date()
+    return tokenData.username
+  }
   
   return null
 }
@@ -145,7 +562,8 @@ const getUserFromToken = (token) => {
 const storeToken = (token, username) => {
   tokenStore.set(token, {
     username: username,
-    createdAt: new Date()
+    createdAt: new Date(),
+    lastSeen: new Date()
   })
   console.log(`✅ Token created for user: ${username} (Total active tokens: ${tokenStore.size})`)
 }
@@ -166,9 +584,186 @@ const clearAllTokens = () => {
   console.log(`🗑️  Cleared ${count} tokens`)
 }
 
+// --- JWT HELPERS ---
+// Issues a signed access token plus a refresh token to exchange for the next one
+const issueJwtTokens = (username) => {
+  const now = Math.floor(Date.now() / 1000)
+  const accessToken = signJwt({
+    sub: username,
+    iat: now,
+    exp: now + config.jwt.accessTokenSeconds,
+    jti: crypto.randomBytes(8).toString('hex')
+  }, jwtSecret())
+
+  const refreshToken = crypto.randomBytes(32).toString('hex')
+  refreshTokenStore.set(refreshToken, {
+    username,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + config.jwt.refreshTokenSeconds * 1000)
+  })
+  console.log(`✅ JWT issued for user: ${username} (Total active refresh tokens: ${refreshTokenStore.size})`)
+
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn: config.jwt.accessTokenSeconds,
+    refreshToken,
+    refreshExpiresIn: config.jwt.refreshTokenSeconds
+  }
+}
+
+// Refresh tokens are single use: a successful refresh rotates them
+// Returns the new tokens, or null when the refresh token is unknown or expired
+const refreshJwtTokens = (refreshToken) => {
+  const data = refreshTokenStore.get(refreshToken)
+  if (!data) return null
+  refreshTokenStore.delete(refreshToken)
+  if (data.expiresAt <= new Date()) return null
+  return issueJwtTokens(data.username)
+}
+
+const revokeRefreshTokens = (username) => {
+  for (const [token, data] of refreshTokenStore) {
+    if (data.username === username) refreshTokenStore.delete(token)
+  }
+}
+
+const clearAllRefreshTokens = () => {
+  const count = refreshTokenStore.size
+  refreshTokenStore.clear()
+  console.log(`🗑️  Cleared ${count} refresh tokens`)
+}
+
+// Answers 401 for a Bearer token that failed verification
+const rejectBearer = (req, res, reason) => {
+  const message = reason === 'expired' ? 'The access token has expired. Refresh it or log in again.' : 'The access token is invalid.'
+  res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${message}"`)
+  if (req.path.startsWith('/api/')) {
+    return res.status(401).json({ error: reason === 'expired' ? 'Token Expired' : 'Invalid Token', message })
+  }
+  res.status(401).send(layout('Unauthorized', ``+`
+    <article style="border-color: red;">
+      <h3>❌ 401 Unauthorized</h3>
+      <p>${message}</p>
+      <a href="/" role="button" class="secondary">Go to Login</a>
+    </article>
+  `, { user: null }))
+}
+
+// --- CSRF HELPERS ---
+const CSRF_TOKEN_TTL_MS = 10 * 60 * 1000
+
+// The /config forms always carry a token, whatever config.csrf says: browsers resend cached Basic
+// credentials on a cross-site form post. Their tokens live longer, /config tends to stay open.
+const CONFIG_FORMS = new Set(['config', 'presets', 'environment', 'scenario', 'tenants'])
+const CONFIG_FORM_TOKEN_TTL_MS = 2 * 60 * 60 * 1000
+
+const csrfActive = (form) => config.csrf.enabled || CONFIG_FORMS.has(form)
+
+// The XSRF-TOKEN cookie value every form token of a browser is bound to: the one it sent back,
+// or a new one set once per response, so pages with several forms (or several tabs) all work
+const csrfCookieValue = (req, res) => {
+  if (!res.locals.csrfCookie) {
+    const sent = getCookie(req, 'XSRF-TOKEN')
+    res.locals.csrfCookie = /^[a-f0-9]{32}$/.test(sent || '') ? sent : crypto.randomBytes(16).toString('hex')
+    if (res.locals.csrfCookie !== sent) res.cookie('XSRF-TOKEN', res.locals.csrfCookie, { httpOnly: true, sameSite: 'strict' })
+  }
+  return res.locals.csrfCookie
+}
+
+// Issues a fresh one-time token for a form and returns its hidden field ('' when CSRF is off)
+const csrfField = (req, res, form) => {
+  if (!csrfActive(form)) return ''
+  const token = crypto.randomBytes(16).toString('hex')
+  const cookie = config.csrf.cookie ? csrfCookieValue(req, res) : null
+  csrfTokens.set(token, { form, user: req.user || null, cookie, createdAt: Date.now(), usedAt: null })
+  return `<input type="hidden" name="_csrf" value="${token}" />`
+}
+
+// Route middleware: rejects a POST whose _csrf value is missing, reused or doesn't match
+const requireCsrf = (form) => (req, res, next) => {
+  if (!csrfActive(form)) return next()
+  const token = req.body && req.body._csrf
+  const data = token ? csrfTokens.get(token) : null
+
+  let reason = null
+  if (!token) reason = 'The anti-forgery token (_csrf) is missing.'
+  else if (!data) reason = 'The anti-forgery token is unknown or has expired.'
+  else if (data.usedAt) reason = 'The anti-forgery token has already been used. Reload the form to get a fresh one.'
+  else if (data.form !== form || data.user !== (req.user || null)) reason = 'The anti-forgery token was issued for a different form or user.'
+  else if (config.csrf.cookie && (!data.cookie || getCookie(req, 'XSRF-TOKEN') !== data.cookie)) reason = 'The anti-forgery token does not match the XSRF-TOKEN cookie.'
+
+  if (data) data.usedAt = Date.now()
+  if (!reason) return next()
+
+  console.log(`🛡️  CSRF check failed on ${req.method} ${req.path}: ${reason}`)
+  res.status(403).send(layout('Forbidden', ``+`
+    <article style="border-color: red;">
+      <h3>❌ 403 Forbidden</h3>
+      <p>${reason}</p>
+      <a href="${req.makeLink('/menu')}" role="button" class="secondary">Back to Menu</a>
+    </article>
+  `, req))
+}
+
+// Used and expired tokens are kept for the TTL so reuse can be reported
+setInterval(() => tenants.forEach(() => {
+  for (const [token, data] of csrfTokens) {
+    const ttl = CONFIG_FORMS.has(data.form) ? CONFIG_FORM_TOKEN_TTL_MS : CSRF_TOKEN_TTL_MS
+    if (data.createdAt < Date.now() - ttl) csrfTokens.delete(token)
+  }
+}), 60 * 1000).unref()
+
+// --- CREDENTIALS ---
+// admin/password, staff<N>/Staff<N> (front desk) or user<N>/Password<N>
+const checkCredentials = (username, password) => {
+  if (username === 'admin' && password === 'password') return true
+  const staffMatch = String(username || '').match(/^staff(\d+)$/)
+  if (staffMatch) return password === `Staff${staffMatch[1]}`
+  const userMatch = String(username || '').match(/^user(\d+)$/)
+  return !!(userMatch && password === `Password${userMatch[1]}`)
+}
+
+// --- ROLES ---
+// admin: /config plus every booking; staff: every booking (front desk); guest: own bookings only
+const getRole = (username) => {
+  if (username === 'admin') return 'admin'
+  if (/^staff\d+$/.test(String(username || ''))) return 'staff'
+  return 'guest'
+}
+
+const canManageAllBookings = (req) => req.role === 'admin' || req.role === 'staff'
+
+// --- SIGNED USERNAME COOKIE ---
+// /login sets username=<name>.<signature>, so nobody can become another user (or claim the staff
+// and admin roles) by editing the cookie. An unsigned or tampered cookie is not logged in.
+const COOKIE_SIGNATURE_LENGTH = 32
+
+const signCookieUser = (username) =>
+  `${username}.${crypto.createHmac('sha256', jwtSecret()).update(`username-cookie:${username}`).digest('hex').slice(0, COOKIE_SIGNATURE_LENGTH)}`
+
+// Returns the username of a correctly signed cookie value, or null
+const readCookieUser = (value) => {
+  const dot = value.lastIndexOf('.')
+  if (dot > 0 && value.length - dot - 1 === COOKIE_SIGNATURE_LENGTH) {
+    const username = value.slice(0, dot)
+    if (crypto.timingSafeEqual(Buffer.from(signCookieUser(username)), Buffer.from(value))) return username
+  }
+  return null
+}
+
 // --- COOKIE SESSION HELPERS ---
+// Starts a fresh session at login
+const startCookieSession = (username) => {
+  cookieSessions.set(username, { createdAt: new Date(), lastSeen: new Date() })
+}
+
+// lastSeen is kept in memory only, so storage is written on login, logout and expiry rather than
+// on every request (after a restart the idle timeout counts from the last login)
 const updateCookieSession = (username) => {
-  cookieSessions.set(username, new Date())
+  const session = cookieSessions.get(username)
+  if (session) session.lastSeen = new Date()
+  else startCookieSession(username)
 }
 
 const removeCookieSession = (username) => {
@@ -184,6 +779,62 @@ const clearAllCookieSessions = () => {
   console.log(`🗑️  Cleared ${count} cookie sessions`)
 }
 
+// --- SESSION EXPIRY ---
+// Applies config.sessions to cookie sessions and URL tokens (both { createdAt, lastSeen })
+const sessionTimeoutsEnabled = () => config.sessions.absoluteMinutes > 0 || config.sessions.idleMinutes > 0
+
+// Timestamp (ms) at which a session expires, or null when it never does
+const getSessionExpiry = (session) => {
+  const { absoluteMinutes, idleMinutes } = config.sessions
+  const limits = []
+  if (absoluteMinutes > 0) limits.push(session.createdAt.getTime() + absoluteMinutes * 60 * 1000)
+  if (idleMinutes > 0) limits.push(session.lastSeen.getTime() + idleMinutes * 60 * 1000)
+  return limits.length ? Math.min(...limits) : null
+}
+
+const isSessionExpired = (session) => {
+  const expiry = getSessionExpiry(session)
+  return expiry !== null && expiry <= Date.now()
+}
+
+const formatSessionRemaining = (session) => {
+  const expiry = getSessionExpiry(session)
+  if (expiry === null) return '∞'
+  const seconds = Math.max(0, Math.round((expiry - Date.now()) / 1000))
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`
+}
+
+// Background sweeper so abandoned sessions don't pile up during soak tests
+const sweepExpiredSessions = () => {
+  if (!sessionTimeoutsEnabled()) return
+  for (const [username, session] of cookieSessions) {
+    if (isSessionExpired(session)) {
+      cookieSessions.delete(username)
+      console.log(`⌛ Cookie session expired for user: ${username}`)
+    }
+  }
+  for (const [token, data] of tokenStore) {
+    if (isSessionExpired(data)) {
+      tokenStore.delete(token)
+      console.log(`⌛ Token expired for user: ${data.username}`)
+    }
+  }
+}
+
+setInterval(() => tenants.forEach(sweepExpiredSessions), 5000).unref()
+
+// Pages that stay reachable (anonymously) with a stale session
+const isPublicPath = (path) => path === '/' || path === '/login' || path === '/logout' || path.startsWith('/config')
+
+// Expired sessions go back to the login page with a notice (or 401 for API calls)
+const rejectExpiredSession = (req, res) => {
+  res.clearCookie('username')
+  if (req.path.startsWith('/api/')) {
+    return res.status(401).json({ error: 'Session Expired', message: 'Your session has expired. Please log in again.' })
+  }
+  res.redirect('/?expired=1')
+}
+
 // --- URL BUILDER HELPER ---
 const makeLink = (path, user, token) => {
   if (config.authMode === 'token' && token) {
@@ -200,53 +851,374 @@ const makeLinkWithRoom = (baseLink, roomName) => {
 
 // --- AUTH MIDDLEWARE ---
 app.use((req, res, next) => {
+  const authStart = process.hrtime.bigint()
   let user = null;
   let token = null;
+  let sessionExpired = false;
 
   // 1. COOKIE MODE (Default)
   if (config.authMode === 'cookie') {
-    user = getCookie(req, 'username');
+    const cookie = getCookie(req, 'username')
+    user = cookie ? readCookieUser(cookie) : null
     if (user) {
-      updateCookieSession(user)
+      // With timeouts on, a cookie without a live session has expired (or was swept)
+      const session = cookieSessions.get(user)
+      if (sessionTimeoutsEnabled() && (!session || isSessionExpired(session))) {
+        removeCookieSession(user)
+        user = null
+        sessionExpired = true
+      } else {
+        updateCookieSession(user)
+      }
     }
   } 
   // 2. TOKEN MODE (For Correlation Exercises)
   else if (config.authMode === 'token') {
     token = (req.query && req.query.token) || (req.body && req.body.token) || null;
-    user = getUserFromToken(token);
+    const tokenData = token ? tokenStore.get(token) : null
+    if (token && sessionTimeoutsEnabled() && (!tokenData || isSessionExpired(tokenData))) {
+      invalidateToken(token)
+      token = null
+      sessionExpired = true
+    } else {
+      user = getUserFromToken(token);
+    }
+  }
+  // 3. JWT MODE (Authorization: Bearer header, for Header Manager exercises)
+  else if (config.authMode === 'jwt') {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)
+    if (match) {
+      const result = verifyJwt(match[1], jwtSecret())
+      if (result.error) return rejectBearer(req, res, result.error)
+      user = result.payload.sub
+    }
   }
   
   req.user = user;
+  req.role = user ? getRole(user) : null
   req.token = token;
   req.makeLink = (path) => makeLink(path, user, token);
+  addTiming('auth', elapsedMs(authStart))
+  if (sessionExpired && !isPublicPath(req.path)) return rejectExpiredSession(req, res)
   next();
 })
 
-// Check availability helper
-const isRoomAvailable = (roomName, checkInDate, nights) => {
-  const newStart = new Date(checkInDate).getTime()
-  const newEnd = newStart + (nights * 24 * 60 * 60 * 1000)
-  const roomReservations = reservations.filter(r => r.room === roomName)
+// --- AVAILABILITY HELPERS ---
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const getRoomType = (roomName) => roomTypes.find(r => r.room_name === roomName)
+
+// Number of physical rooms of a type (rooms.json availability.total_rooms_of_type)
+const getInventory = (roomName) => {
+  const room = getRoomType(roomName)
+  return (room && room.availability && room.availability.total_rooms_of_type) || 1
+}
+
+// YYYY-MM-DD keys of every night in a stay
+const getStayNights = (checkIn, nights) => {
+  const start = new Date(checkIn).getTime()
+  const keys = []
+  for (let i = 0; i < nights; i++) {
+    keys.push(new Date(start + i * DAY_MS).toISOString().split('T')[0])
+  }
+  return keys
+}
+
+// Cancelled and expired bookings keep their row but no longer occupy a room
+const isActiveReservation = (r) => r.status !== 'CANCELLED' && r.status !== 'EXPIRED'
 
-  for (const r of roomReservations) {
-    const rStart = new Date(r.checkIn).getTime()
-    const rEnd = rStart + (r.nights * 24 * 60 * 60 * 1000)
-    if (newStart < rEnd && newEnd > rStart) return false 
+const overlapsStay = (r, checkIn, nights) => {
+  const newStart = new Date(checkIn).getTime()
+  const newEnd = newStart + (nights * DAY_MS)
+  const rStart = new Date(r.checkIn).getTime()
+  const rEnd = rStart + (r.nights * DAY_MS)
+  return newStart < rEnd && newEnd > rStart
+}
+
+// Counts booked rooms per night for a room type
+// Returns { 'YYYY-MM-DD': count }
+// excludeId leaves one reservation out (used when modifying it)
+const getNightlyOccupancy = (roomName, excludeId = null) => {
+  const occupancy = {}
+  for (const r of reservations) {
+    if (r.room !== roomName || !isActiveReservation(r) || r.id === excludeId) continue
+    for (const night of getStayNights(r.checkIn, r.nights)) {
+      occupancy[night] = (occupancy[night] || 0) + 1
+    }
   }
-  return true
+  return occupancy
+}
+
+// Nights on which every room of the type is taken (used by the date picker)
+const getSoldOutDates = timed('db', (roomName, excludeId = null) => {
+  const inventory = getInventory(roomName)
+  const occupancy = getNightlyOccupancy(roomName, excludeId)
+  return Object.keys(occupancy).filter(night => occupancy[night] >= inventory).sort()
+})
+
+// Check availability helper: every night of the stay needs at least one free room
+const isRoomAvailable = timed('db', (roomName, checkInDate, nights, excludeId = null) => {
+  const inventory = getInventory(roomName)
+  const occupancy = getNightlyOccupancy(roomName, excludeId)
+  return getStayNights(checkInDate, nights).every(night => (occupancy[night] || 0) < inventory)
+})
+
+// Physical room numbers of a type, spread over view.floor_range (e.g. "3–8" -> 301, 302, 401, ...)
+const getRoomNumbers = (room) => {
+  const range = String((room.view && room.view.floor_range) || '1').split(/[–-]/).map(Number)
+  const minFloor = range[0] || 1
+  const maxFloor = range[1] || minFloor
+  const total = (room.availability && room.availability.total_rooms_of_type) || 1
+  const perFloor = Math.ceil(total / (maxFloor - minFloor + 1))
+  return Array.from({ length: total }, (_, i) => {
+    const floor = minFloor + Math.floor(i / perFloor)
+    return String(floor * 100 + (i % perFloor) + 1)
+  })
+}
+
+// Picks the first room number that is free for the whole stay (null if none is)
+const assignRoomNumber = timed('db', (roomName, checkIn, nights, excludeId = null) => {
+  const room = getRoomType(roomName)
+  if (!room) return null
+  const taken = new Set(
+    reservations
+      .filter(r => r.room === roomName && isActiveReservation(r) && r.id !== excludeId && overlapsStay(r, checkIn, nights))
+      .map(r => r.roomNumber)
+  )
+  return getRoomNumbers(room).find(n => !taken.has(n)) || null
+})
+
+// --- PAYMENT HOLDS ---
+// Bookings start as PENDING_PAYMENT and expire when not paid within config.paymentHoldMinutes
+const releaseExpiredHolds = () => {
+  const now = Date.now()
+  for (const r of reservations) {
+    if (r.status === 'PENDING_PAYMENT' && r.holdExpiresAt <= now) {
+      r.status = 'EXPIRED'
+      storage.saveReservation(r).catch(logWriteError)
+      console.log(`⌛ Payment hold expired for reservation #${r.id} (${r.room} ${r.roomNumber})`)
+    }
+  }
+}
+
+setInterval(() => tenants.forEach(releaseExpiredHolds), 5000).unref()
+
+const formatHoldRemaining = (r) => {
+  const seconds = Math.max(0, Math.round((r.holdExpiresAt - Date.now()) / 1000))
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`
+}
+
+// --- BOOKING SERVICE ---
+// Shared by the HTML and JSON routes
+// Returns { reservation } or { status, title, message } describing why the booking failed
+const createReservation = async (user, { guest, room, checkIn, nights, guests, pets }) => {
+  if (!guest || !room || !checkIn) {
+    return { status: 400, title: 'Missing Information', message: 'Please provide all required booking information.' }
+  }
+
+  // Validate date format
+  if (!isValidDate(checkIn)) {
+    return { status: 400, title: 'Invalid Date Format', message: `Check-in date must be in format YYYY-MM-DD (e.g., 2026-01-23). You provided: ${checkIn}` }
+  }
+
+  // Check if date is in the past
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  if (new Date(checkIn) < today) {
+    return { status: 400, title: 'Invalid Date', message: 'Check-in date cannot be in the past.' }
+  }
+
+  const roomType = getRoomType(room)
+  if (!roomType) {
+    return { status: 400, title: 'Unknown Room Type', message: `We don't offer a room called "${room}".` }
+  }
+
+  // Nights default to 1 when left out; anything else has to be a whole number of nights
+  const stay = { nights: nights === undefined || nights === '' ? 1 : Number(nights), guests: Number(guests) || 1, pets: Number(pets) || 0 }
+  const ruleError = pricing.checkStayRules(roomType, stay)
+  if (ruleError) {
+    return { status: 400, title: 'Booking Rules Not Met', message: ruleError }
+  }
+
+  const roomNumber = isRoomAvailable(room, checkIn, stay.nights) ? assignRoomNumber(room, checkIn, stay.nights) : null
+  if (!roomNumber) {
+    return { status: 409, title: 'Room Unavailable', message: `Sorry, all ${room} rooms are already booked for these dates.` }
+  }
+
+  const reservation = {
+    id: ids.nextReservationId++,
+    guest: escapeHtml(String(guest)),
+    room: roomType.room_name,
+    roomNumber: roomNumber,
+    checkIn: checkIn,
+    nights: stay.nights,
+    guests: stay.guests,
+    pets: stay.pets,
+    date: new Date().toLocaleTimeString(),
+    bookedBy: user,
+    status: 'PENDING_PAYMENT',
+    holdExpiresAt: Date.now() + config.paymentHoldMinutes * 60 * 1000
+  }
+  reservations.push(reservation)
+  liveStats.countBooking()
+  await storage.saveReservation(reservation)
+
+  // Auto-truncate to prevent memory issues during load testing (durable backends keep everything)
+  if (!storage.durable && reservations.length > 2000) {
+    reservations.shift() // Remove oldest reservation
+  }
+
+  return { reservation }
+}
+
+// Cancellation/change fee for a booking, see lib/pricing.js
+const getCancellationTerms = (reservation) => pricing.getCancellationTerms(getRoomType(reservation.room), reservation)
+
+// --- RATE LIMITING ---
+const rateLimiter = tenants.scoped('rateLimiter', () => rateLimit.createRateLimiter())
+
+setInterval(() => tenants.forEach(() => rateLimiter.sweep(config.rateLimit.rules)), 60 * 1000).unref()
+
+// Bucket key for config.rateLimit.keyBy; anonymous requests fall back to the IP
+const getRateLimitClient = (req) => {
+  const { keyBy } = config.rateLimit
+  if (keyBy === 'user' && req.user) return `user:${req.user}`
+  if (keyBy === 'token') {
+    const credential = req.token || (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || getCookie(req, 'username')
+    if (credential) return `token:${crypto.createHash('sha256').update(credential).digest('hex').slice(0, 12)}`
+  }
+  return `ip:${req.ip}`
 }
 
+app.use((req, res, next) => {
+  if (!config.rateLimit.enabled || req.path.startsWith('/config')) return next()
+  const match = rateLimiter.findRule(config.rateLimit.rules, req.method, req.path)
+  if (!match) return next()
+
+  const [index, rule] = match
+  const result = rateLimiter.take(index, rule, getRateLimitClient(req))
+  res.set('X-RateLimit-Limit', String(result.limit))
+  res.set('X-RateLimit-Remaining', String(result.remaining))
+  res.set('X-RateLimit-Reset', String(result.reset))
+  if (result.allowed) return next()
+
+  rateLimited.inc({ rule: `${rule.method} ${rule.path || '*'}` })
+  res.set('Retry-After', String(result.retryAfter))
+  const message = `Limit of ${rule.limit} requests per ${rule.perSeconds}s exceeded. Retry in ${result.retryAfter}s.`
+  if (req.path.startsWith('/api/')) return res.status(429).json({ error: 'Too Many Requests', message })
+  res.status(429).send(layout('Too Many Requests', ``+`
+    <article style="border-color: red;">
+      <h3>❌ Too Many Requests</h3>
+      <p>${message}</p>
+    </article>
+  `, req))
+})
+
 // --- 3. CHAOS MONKEY ---
+// How often each rule in config.chaosRules fired (reset when the rules change)
+const chaosFired = tenants.scoped('chaosFired', () => [])
+
+// Hung requests are dropped after this long so they can't pile up forever
+const HANG_LIMIT_MS = 5 * 60 * 1000
+
+const BAD_GATEWAY_PAGE = `<html>
+<head><title>502 Bad Gateway</title></head>
+<body>
+<center><h1>502 Bad Gateway</h1></center>
+<hr><center>nginx/1.24.0</center>
+</body>
+</html>
+`
+
+const chaosError = (req, res, status, title, message) => {
+  if (req.path.startsWith('/api/')) return res.status(status).json({ error: title, message })
+  res.status(status).send(`<h3>🔥 ${status} ${title}</h3><p>${message}</p>`)
+}
+
+// Lets the route run, then mangles the body it sends
+const corruptResponse = (req, res, corrupt) => {
+  const send = res.send.bind(res)
+  res.send = (body) => {
+    if (typeof body !== 'string' || (res.statusCode >= 300 && res.statusCode < 400)) return send(body)
+    return corrupt(body, send)
+  }
+}
+
+// Answers the request with one of the faults in lib/chaos.js
+const injectFault = (fault, req, res, next) => {
+  // Routers strip their mount path, so decide JSON vs HTML before the route runs
+  const isApi = req.path.startsWith('/api/')
+  switch (fault) {
+    case 'error500':
+      return chaosError(req, res, 500, 'Internal Server Error', 'Simulated failure (Chaos Mode)')
+    case 'unavailable503':
+      res.set('Retry-After', '5')
+      return chaosError(req, res, 503, 'Service Unavailable', 'Simulated outage (Chaos Mode)')
+    case 'tooMany429':
+      res.set('Retry-After', '2')
+      return chaosError(req, res, 429, 'Too Many Requests', 'Simulated throttling (Chaos Mode)')
+    case 'badGateway502':
+      res.removeHeader('X-Powered-By')
+      res.set('Server', 'nginx/1.24.0')
+      return res.status(502).type('html').send(BAD_GATEWAY_PAGE)
+    case 'hang':
+      setTimeout(() => req.socket.destroy(), HANG_LIMIT_MS).unref()
+      return
+    case 'reset':
+      return req.socket.resetAndDestroy ? req.socket.resetAndDestroy() : req.socket.destroy()
+    case 'truncated':
+      // Announce the full length, send half, then close the connection
+      corruptResponse(req, res, (body) => {
+        if (!res.get('Content-Type')) res.type(isApi ? 'json' : 'html')
+        res.set('Content-Length', String(Buffer.byteLength(body)))
+        res.write(body.slice(0, Math.floor(body.length / 2)), () => req.socket.destroy())
+        return res
+      })
+      return next()
+    case 'malformed':
+      corruptResponse(req, res, (body, send) => {
+        if (isApi) return send(`${body.slice(0, -1)},}`)
+        return send(body.replace(/<\/(html|body|main|article|section|div|table|tbody|tr|td|form)>/g, '') + '<div class="broken')
+      })
+      return next()
+    case 'softError':
+      if (isApi) {
+        return res.json({ status: 'error', error: 'Internal Error', message: 'We are unable to process your request right now. Please try again later.' })
+      }
+      return res.send(layout('Error', ``+`
+        <article style="border-color: red;">
+          <h3>❌ Something Went Wrong</h3>
+          <p>We are unable to process your request right now. Please try again later.</p>
+          <small>Reference: ERR-${crypto.randomBytes(3).toString('hex').toUpperCase()}</small>
+        </article>
+      `, req))
+  }
+  next()
+}
+
 app.use((req, res, next) => {
   if (req.path.startsWith('/config')) return next()
+
+  const index = chaos.pickRule(config.chaosRules, req.method, req.path)
+  if (index !== -1) {
+    chaosFired[index] = (chaosFired[index] || 0) + 1
+    chaosFaults.inc({ fault: config.chaosRules[index].fault })
+    res.locals.chaosFault = config.chaosRules[index].fault
+    return injectFault(config.chaosRules[index].fault, req, res, next)
+  }
+
+  // Global error rate (the original Chaos Mode)
   if (config.errorRate > 0 && Math.random() * 100 < config.errorRate) {
-    return res.status(500).send("<h3>🔥 500 Internal Server Error</h3><p>Simulated failure (Chaos Mode)</p>")
+    chaosFaults.inc({ fault: 'error500' })
+    res.locals.chaosFault = 'error500'
+    return chaosError(req, res, 500, 'Internal Server Error', 'Simulated failure (Chaos Mode)')
   }
   next()
 })
 
 // --- 4. LAYOUT ---
-const layout = (title, body, req) => `
+// Timed as "render" in Server-Timing
+const layout = timed('render', (title, body, req) => `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -311,6 +1283,8 @@ const layout = (title, body, req) => `
   /* UTILITIES */
   .user-display { background: rgba(255,255,255,.2); padding: .25rem .75rem; border-radius: 99px; font-size: .9rem; }
   .badge { display: inline-flex; align-items: center; gap: .35rem; padding: .35rem .65rem; border-radius: 999px; background: var(--pico-muted-border-color); font-size: .85em; }
+  .latency-param { display: inline-block; margin: 0 .5rem .25rem 0; font-size: .85em; }
+  .latency-param input { width: 6rem; margin: 0; padding: .25rem .5rem; height: auto; }
   .list-thumbnail { width: 100%; height: 250px; object-fit: cover; border-radius: 4px; background: #eee; }
   .img-placeholder { width: 100%; height: 250px; background: #f0f0f0; border: 2px dashed #ccc; display: flex; align-items: center; justify-content: center; }
   h4 { color: #1e40af; }
@@ -334,7 +1308,7 @@ const layout = (title, body, req) => `
         </li>
       </ul>
       <ul>
-        ${req.user ? `<li><span class="user-display">👤 ${req.user}</span></li>` : ''}
+        ${req.user ? `<li><span class="user-display">👤 ${req.user}${req.role && req.role !== 'guest' ? ` · ${req.role}` : ''}</span></li>` : ''}
       </ul>
     </nav>
   </header>
@@ -349,16 +1323,22 @@ const layout = (title, body, req) => `
   <script src="/public/flatpickr/flatpickr.min.js"></script>
 </body>
 </html>
-`
+`)
 
 // --- 5. ROUTES ---
 
 app.get('/', async (req, res) => {
-  await sleep(config.delays.login)
+  await injectLatency(res, 'login')
   
   if (req.user) return res.redirect(req.makeLink('/menu'))
 
-  res.send(layout('Login', ``+`
+  res.send(layout(req.query.expired ? 'Session Expired' : 'Login', ``+`
+    ${req.query.expired ? `
+    <article style="border-color: orange;">
+      <h3>⌛ Session Expired</h3>
+      <p>Your session has expired. Please log in again.</p>
+    </article>
+    ` : ''}
     <article>
       <header><strong>Welcome</strong></header>
       <p>Please log in to manage reservations.</p>
@@ -376,15 +1356,12 @@ app.post('/login', async (req, res) => {
   await sleep(100)
   const { username, password } = req.body
   
-  let valid = false
-  if (username === 'admin' && password === 'password') valid = true
-  const userMatch = username.match(/^user(\d+)$/)
-  if (userMatch && password === `Password${userMatch[1]}`) valid = true
-
-  if (valid) {
+  if (checkCredentials(username, password)) {
+    // The admin gets into /config right away, whatever the auth mode (with INSTRUCTOR_PASSWORD set, the main hotel's needs that password)
+    if (checkConfigCredentials(username, password)) startConfigSession(res, username)
     if (config.authMode === 'cookie') {
-      res.cookie('username', username, { httpOnly: true })
-      updateCookieSession(username)
+      res.cookie('username', signCookieUser(username), { httpOnly: true })
+      startCookieSession(username)
       return res.redirect('/menu')
     } 
     else if (config.authMode === 'token') {
@@ -393,6 +1370,20 @@ app.post('/login', async (req, res) => {
       storeToken(token, username)
       return res.redirect(`/menu?token=${encodeURIComponent(token)}`)
     }
+    else if (config.authMode === 'jwt') {
+      // Browsers can't attach the header themselves: show the tokens for extraction
+      const tokens = issueJwtTokens(username)
+      return res.send(layout('Login Successful', ``+`
+        <article style="border-color: green;">
+          <header><strong>✅ Login Successful</strong></header>
+          <p>Send the access token as <code>Authorization: Bearer &lt;token&gt;</code> on every request.</p>
+          <p><strong>Access Token</strong> (expires in ${tokens.expiresIn}s)</p>
+          <pre><code id="accessToken">${tokens.accessToken}</code></pre>
+          <p><strong>Refresh Token</strong> (expires in ${tokens.refreshExpiresIn}s, use with <code>POST /api/v1/token/refresh</code>)</p>
+          <pre><code id="refreshToken">${tokens.refreshToken}</code></pre>
+        </article>
+      `, { user: username }))
+    }
   }
 
   res.send(layout('Login Failed', ``+`
@@ -421,12 +1412,17 @@ app.get('/logout', (req, res) => {
     invalidateToken(req.token)
   }
   
+  // Access tokens expire on their own, refresh tokens are revoked
+  if (config.authMode === 'jwt' && req.user) {
+    revokeRefreshTokens(req.user)
+  }
+  
   res.redirect('/')
 })
 
 app.get('/menu', async (req, res) => {
   if (!req.user) return res.redirect('/') 
-  await sleep(config.delays.menu)
+  await injectLatency(res, 'menu')
   
   res.send(layout('Main Menu', `
     <h2>Main Menu</h2>
@@ -444,7 +1440,7 @@ app.get('/menu', async (req, res) => {
 // --- ROOMS LIST ---
 app.get('/rooms', async (req, res) => {
   if (!req.user) return res.redirect('/')
-  await sleep(config.delays.rooms)
+  await injectLatency(res, 'rooms')
   const cards = roomTypes.map(room => {
     let imgHtml = ''
     if (room.media && room.media.photos && room.media.photos.length > 0) {
@@ -490,7 +1486,7 @@ app.get('/rooms/:id', async (req, res) => {
   if (!req.user) return res.redirect('/')
   const room = roomTypes.find(r => r.room_id === req.params.id)
   if (!room) return res.redirect(req.makeLink('/rooms'))
-  await sleep(config.delays.rooms)
+  await injectLatency(res, 'rooms')
 
   let mediaHtml = ''
   if (room.media && room.media.photos && room.media.photos.length > 0) {
@@ -565,7 +1561,7 @@ app.get('/rooms/:id', async (req, res) => {
 // --- RESERVE PAGE ---
 app.get('/reserve', async (req, res) => {
   if (!req.user) return res.redirect('/')
-  await sleep(config.delays.reserve)
+  await injectLatency(res, 'reserve')
   const selectedRoomId = req.query.room || ''
   
   const options = roomTypes.map(r => {
@@ -573,7 +1569,17 @@ app.get('/reserve', async (req, res) => {
     return `<option value="${r.room_name}" ${isSelected}>${r.room_name} (€${r.pricing.base_price_per_night})</option>`
   }).join('')
 
-  const allReservations = JSON.stringify(reservations)
+  // Only nights where the whole inventory of a type is booked are blocked
+  const soldOutDates = JSON.stringify(
+    Object.fromEntries(roomTypes.map(r => [r.room_name, getSoldOutDates(r.room_name)]))
+  )
+  // Per-room rules so the form can adapt its limits when the room changes
+  const roomRules = JSON.stringify(Object.fromEntries(roomTypes.map(r => [r.room_name, {
+    minimumStay: r.pricing.minimum_stay_nights || 1,
+    maxGuests: r.occupancy.max_guests,
+    petsAllowed: !!r.availability.pets.allowed,
+    petFee: r.availability.pets.fee_per_night
+  }])))
   const formAction = req.makeLink('/reserve')
 
   res.send(layout('Make Reservation', ``+`
@@ -592,7 +1598,17 @@ app.get('/reserve', async (req, res) => {
            <input type="text" id="checkInDate" name="checkIn" placeholder="Select Date" required />
         </label>
         <label>Nights 
-           <input type="number" name="nights" value="1" min="1" max="14" required />
+           <input type="number" name="nights" id="nightsInput" value="1" min="1" max="14" required />
+           <small id="minStayHint"></small>
+        </label>
+      </div>
+      <div class="grid">
+        <label>Guests 
+           <input type="number" name="guests" id="guestsInput" value="1" min="1" required />
+        </label>
+        <label>Pets 
+           <input type="number" name="pets" id="petsInput" value="0" min="0" max="2" />
+           <small id="petHint"></small>
         </label>
       </div>
       <div class="booking-actions">
@@ -600,28 +1616,36 @@ app.get('/reserve', async (req, res) => {
         <a href="${req.makeLink('/menu')}" role="button">Cancel</a>
       </div>
       ${config.authMode === 'token' && req.token ? `<input type="hidden" name="token" value="${req.token}" />` : ''}
+      ${csrfField(req, res, 'reserve')}
     </form>
 
     <script>
-      const existingReservations = ${allReservations};
+      const soldOutDates = ${soldOutDates};
       const roomSelect = document.getElementById('roomSelect');
       const checkInInput = document.getElementById('checkInDate');
       let fpInstance;
       
       function getBlockedDates(roomName) {
-        const blocked = [];
-        existingReservations.forEach(r => {
-          if (r.room === roomName) {
-            const fromDate = new Date(r.checkIn);
-            const toDate = new Date(fromDate);
-            toDate.setDate(toDate.getDate() + r.nights - 1);
-            blocked.push({ from: fromDate.toISOString().split('T')[0], to: toDate.toISOString().split('T')[0] });
-          }
-        });
-        return blocked;
+        return soldOutDates[roomName] || [];
+      }
+      
+      const roomRules = ${roomRules};
+      
+      function applyRoomRules() {
+        const rules = roomRules[roomSelect.value];
+        const nightsInput = document.getElementById('nightsInput');
+        nightsInput.min = rules.minimumStay;
+        if (Number(nightsInput.value) < rules.minimumStay) nightsInput.value = rules.minimumStay;
+        document.getElementById('minStayHint').textContent = rules.minimumStay > 1 ? 'Minimum stay: ' + rules.minimumStay + ' nights' : '';
+        document.getElementById('guestsInput').max = rules.maxGuests;
+        const petsInput = document.getElementById('petsInput');
+        petsInput.disabled = !rules.petsAllowed;
+        if (!rules.petsAllowed) petsInput.value = 0;
+        document.getElementById('petHint').textContent = rules.petsAllowed ? '€' + rules.petFee + ' per pet per night' : 'No pets allowed';
       }
       
       function initPicker() {
+        applyRoomRules();
         const selectedRoom = roomSelect.value;
         const disabledDates = getBlockedDates(selectedRoom);
         if(fpInstance) fpInstance.destroy();
@@ -645,97 +1669,61 @@ app.get('/reserve', async (req, res) => {
   `, req))
 })
 
-app.post('/reserve', async (req, res) => {
+app.post('/reserve', requireCsrf('reserve'), async (req, res) => {
   if (!req.user) return res.redirect('/')
-  await sleep(config.delays.reserve)
-  const { guest, room, nights, checkIn } = req.body
+  await injectLatency(res, 'reserve')
 
-  if (!guest || !room || !checkIn) {
-    return res.status(400).send(layout('Booking Error', ``+`
+  const result = await createReservation(req.user, req.body)
+  if (!result.reservation) {
+    return res.status(result.status).send(layout('Booking Error', ``+`
       <article style="border-color: red;">
-        <h3>❌ Missing Information</h3>
-        <p>Please provide all required booking information.</p>
-        <a href="${req.makeLink('/reserve')}" role="button" class="secondary">Try Again</a>
+        <h3>❌ ${result.title}</h3>
+        <p>${escapeHtml(result.message)}</p>
+        <a href="${req.makeLink('/reserve')}" role="button" class="secondary">${result.status === 409 ? 'Try Different Dates' : 'Try Again'}</a>
       </article>
     `, req))
   }
 
-  // Validate date format
-  if (!isValidDate(checkIn)) {
-    return res.status(400).send(layout('Booking Error', ``+`
-      <article style="border-color: red;">
-        <h3>❌ Invalid Date Format</h3>
-        <p>Check-in date must be in format YYYY-MM-DD (e.g., 2026-01-23).</p>
-        <p>You provided: <code>${escapeHtml(checkIn)}</code></p>
-        <a href="${req.makeLink('/reserve')}" role="button" class="secondary">Try Again</a>
-      </article>
-    `, req))
-  }
-
-  // Check if date is in the past
-  const checkInDate = new Date(checkIn)
-  const today = new Date()
-  today.setHours(0, 0, 0, 0)
-  if (checkInDate < today) {
-    return res.status(400).send(layout('Booking Error', ``+`
-      <article style="border-color: red;">
-        <h3>❌ Invalid Date</h3>
-        <p>Check-in date cannot be in the past.</p>
-        <a href="${req.makeLink('/reserve')}" role="button" class="secondary">Try Again</a>
-      </article>
-    `, req))
-  }
-
-  const isAvailable = isRoomAvailable(room, checkIn, Number(nights));
-  if (!isAvailable) {
-    return res.status(409).send(layout('Booking Error', ``+`
-      <article style="border-color: red;">
-        <h3>❌ Room Unavailable</h3>
-        <p>Sorry, <strong>${room}</strong> is already booked for these dates.</p>
-        <a href="${req.makeLink('/reserve')}" role="button" class="secondary">Try Different Dates</a>
-      </article>
-    `, req));
-  }
-
-  reservations.push({
-    id: reservations.length + 1,
-    guest: escapeHtml(guest),
-    room: escapeHtml(room),
-    checkIn: checkIn, 
-    nights: Number(nights) || 1,
-    date: new Date().toLocaleTimeString(), 
-    bookedBy: req.user
-  })
-
-  // Auto-truncate to prevent memory issues during load testing
-  if (reservations.length > 2000) {
-    reservations.shift() // Remove oldest reservation
-  }
-
-  res.redirect(req.makeLink('/overview'))
+  // Booking is held until paid, continue straight to payment
+  res.redirect(req.makeLink(`/checkout?reservation=${result.reservation.id}`))
 })
 
 app.get('/overview', async (req, res) => {
   if (!req.user) return res.redirect('/')
-  await sleep(config.delays.overview)
-  const userReservations = reservations.filter(r => r.bookedBy === req.user)
+  await injectLatency(res, 'overview')
+  // Staff and admin see every guest's bookings
+  const showAll = canManageAllBookings(req)
+  const userReservations = showAll ? reservations : reservations.filter(r => r.bookedBy === req.user)
   const rows = userReservations.length === 0
-    ? `<tr><td colspan="6" style="text-align:center; padding: 2rem;" class="muted">No reservations found.</td></tr>`
+    ? `<tr><td colspan="${showAll ? 10 : 9}" style="text-align:center; padding: 2rem;" class="muted">No reservations found.</td></tr>`
     : userReservations.map(r => `
       <tr>
         <td>#${r.id}</td>
         <td><b>${r.guest}</b></td>
+        ${showAll ? `<td style="font-size:0.8em; color:grey;">${r.bookedBy || 'system'}</td>` : ''}
         <td>${r.room}</td>
+        <td>${r.roomNumber || 'N/A'}</td>
         <td>${r.checkIn || 'N/A'}</td>
         <td>${r.nights}</td>
         <td>${r.date}</td>
+        <td>
+          <span class="badge">${r.status}</span>
+          ${r.status === 'PENDING_PAYMENT' ? `<small style="display:block; color:grey;">⏳ ${formatHoldRemaining(r)} left</small>` : ''}
+        </td>
+        <td style="white-space:nowrap;">
+          ${r.status === 'PENDING_PAYMENT' && r.bookedBy === req.user ? `<a href="${req.makeLink(`/checkout?reservation=${r.id}`)}">Pay</a> &bull;` : ''}
+          ${isActiveReservation(r) ? `
+          <a href="${req.makeLink(`/reservations/${r.id}/modify`)}">Modify</a> &bull;
+          <a href="${req.makeLink(`/reservations/${r.id}/cancel`)}">Cancel</a>
+          ` : ''}
+        </td>
       </tr>
     `).reverse().join('')
     
   // Updated layout call with fixed button style
   res.send(layout('Overview', ``+`
     <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">
-      <h3>Current Bookings <span class="badge">${userReservations.length}</span></h3>
+      <h3>${showAll ? 'All Bookings' : 'Current Bookings'} <span class="badge">${userReservations.length}</span></h3>
       <a href="${req.makeLink('/reserve')}" role="button" class="contrast outline" 
          style="font-size:0.8rem; width: auto !important; padding: 0.3rem 1.2rem; margin-bottom: 0;">
          + New
@@ -744,7 +1732,7 @@ app.get('/overview', async (req, res) => {
     <div class="table-wrap">
       <table class="striped">
         <thead>
-          <tr><th>ID</th><th>Guest</th><th>Type</th><th>Check-In</th><th>Nights</th><th>Booked At</th></tr>
+          <tr><th>ID</th><th>Guest</th>${showAll ? '<th>Booked By</th>' : ''}<th>Type</th><th>Room</th><th>Check-In</th><th>Nights</th><th>Booked At</th><th>Status</th><th>Actions</th></tr>
         </thead>
         <tbody>${rows}</tbody>
       </table>
@@ -755,20 +1743,229 @@ app.get('/overview', async (req, res) => {
   `, req))
 })
 
-// --- SEARCH PAGE ---
-app.get('/search', async (req, res) => {
+// --- CANCEL & MODIFY BOOKINGS ---
+// Guests can only touch their own bookings, staff and admin any of them
+const findOwnReservation = (req) => {
+  const id = Number(req.params.id)
+  return reservations.find(r => r.id === id && (r.bookedBy === req.user || canManageAllBookings(req))) || null
+}
+
+const bookingChangeError = (req, res, status, title, message) => res.status(status).send(layout('Booking Error', ``+`
+  <article style="border-color: red;">
+    <h3>❌ ${title}</h3>
+    <p>${message}</p>
+    <a href="${req.makeLink('/overview')}" role="button" class="secondary">Back to Bookings</a>
+  </article>
+`, req))
+
+// 409 for a booking that no longer holds a room: cancelled (title and message given by the route),
+// or a hold that expired before it was paid
+const inactiveBookingError = (req, res, reservation, title, message) => reservation.status === 'EXPIRED'
+  ? bookingChangeError(req, res, 409, 'Payment Hold Expired', `Booking #${reservation.id} was not paid in time and the room has been released, there is nothing left to change.`)
+  : bookingChangeError(req, res, 409, title, `Booking #${reservation.id} ${message}`)
+
+// Validates a requested stay, returns an error message or null
+const validateStay = (checkIn, nights) => {
+  if (!checkIn || !isValidDate(checkIn)) return 'Check-in date must be in format YYYY-MM-DD (e.g., 2026-01-23).'
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  if (new Date(checkIn) < today) return 'Check-in date cannot be in the past.'
+  if (!pricing.isValidNights(nights)) return `Nights must be a whole number between 1 and ${pricing.MAX_STAY_NIGHTS}.`
+  return null
+}
+
+const termsHtml = (terms) => terms.free
+  ? `<p><strong>Fee:</strong> €0.00 <span class="badge">✅ ${terms.reason}</span></p>`
+  : `<p><strong>Fee:</strong> €${terms.penalty.toFixed(2)} <span class="badge">⚠️ ${terms.reason}</span></p>`
+
+app.get('/reservations/:id/cancel', async (req, res) => {
   if (!req.user) return res.redirect('/')
-  await sleep(config.delays.search)
-  
-  // Parse query parameters
-  const checkIn = req.query.checkIn || ''
-  const checkOut = req.query.checkOut || ''
-  const nights = req.query.nights || ''
-  const guests = req.query.guests || ''
-  const maxPrice = req.query.maxPrice || ''
-  const category = req.query.category || ''
-  
-  // Filter rooms based on search criteria
+  await injectLatency(res, 'reserve')
+  const reservation = findOwnReservation(req)
+  if (!reservation) return bookingChangeError(req, res, 404, 'Booking Not Found', 'This booking does not exist or belongs to another guest.')
+  if (!isActiveReservation(reservation)) return inactiveBookingError(req, res, reservation, 'Already Cancelled', 'has already been cancelled.')
+
+  const terms = getCancellationTerms(reservation)
+
+  res.send(layout('Cancel Booking', ``+`
+    <article>
+      <header><strong>Cancel Booking #${reservation.id}</strong></header>
+      <p><strong>Room:</strong> ${reservation.room} (No. ${reservation.roomNumber})</p>
+      <p><strong>Check-in:</strong> ${reservation.checkIn} &bull; <strong>Nights:</strong> ${reservation.nights}</p>
+      <hr />
+      <p><strong>Stay Total:</strong> €${terms.stayTotal.toFixed(2)}</p>
+      ${termsHtml(terms)}
+      <form action="${req.makeLink(`/reservations/${reservation.id}/cancel`)}" method="POST">
+        ${config.authMode === 'token' && req.token ? `<input type="hidden" name="token" value="${req.token}" />` : ''}
+        ${csrfField(req, res, 'cancel')}
+        <div class="booking-actions">
+          <button type="submit">Confirm Cancellation</button>
+          <a href="${req.makeLink('/overview')}" role="button">Keep Booking</a>
+        </div>
+      </form>
+    </article>
+  `, req))
+})
+
+app.post('/reservations/:id/cancel', requireCsrf('cancel'), async (req, res) => {
+  if (!req.user) return res.redirect('/')
+  await injectLatency(res, 'reserve')
+  const reservation = findOwnReservation(req)
+  if (!reservation) return bookingChangeError(req, res, 404, 'Booking Not Found', 'This booking does not exist or belongs to another guest.')
+  if (!isActiveReservation(reservation)) return inactiveBookingError(req, res, reservation, 'Already Cancelled', 'has already been cancelled.')
+
+  const terms = getCancellationTerms(reservation)
+  reservation.status = 'CANCELLED'
+  reservation.cancelledAt = new Date().toLocaleTimeString()
+  reservation.cancellationFee = terms.penalty
+  await storage.saveReservation(reservation)
+
+  res.send(layout('Booking Cancelled', ``+`
+    <article style="border-color: green;">
+      <header><h3>✅ Booking Cancelled</h3></header>
+      <p>Booking <strong>#${reservation.id}</strong> for ${reservation.room} has been cancelled and the room released.</p>
+      ${termsHtml(terms)}
+      <a href="${req.makeLink('/overview')}" role="button">View My Bookings</a>
+    </article>
+  `, req))
+})
+
+app.get('/reservations/:id/modify', async (req, res) => {
+  if (!req.user) return res.redirect('/')
+  await injectLatency(res, 'reserve')
+  const reservation = findOwnReservation(req)
+  if (!reservation) return bookingChangeError(req, res, 404, 'Booking Not Found', 'This booking does not exist or belongs to another guest.')
+  if (!isActiveReservation(reservation)) return inactiveBookingError(req, res, reservation, 'Booking Cancelled', 'has been cancelled and can no longer be changed.')
+
+  const soldOutDates = JSON.stringify(getSoldOutDates(reservation.room, reservation.id))
+
+  res.send(layout('Modify Booking', ``+`
+    <h2>Modify Booking #${reservation.id}</h2>
+    <p>${reservation.room} &bull; currently ${reservation.checkIn} for ${reservation.nights} night(s)</p>
+    <form action="${req.makeLink(`/reservations/${reservation.id}/modify`)}" method="POST">
+      <div class="grid">
+        <label>New Check-in Date
+           <input type="text" id="checkInDate" name="checkIn" value="${reservation.checkIn}" required />
+        </label>
+        <label>Nights
+           <input type="number" name="nights" value="${reservation.nights}" min="1" max="14" required />
+        </label>
+      </div>
+      <div class="booking-actions">
+        <button type="submit">Review Changes</button>
+        <a href="${req.makeLink('/overview')}" role="button">Back</a>
+      </div>
+      ${config.authMode === 'token' && req.token ? `<input type="hidden" name="token" value="${req.token}" />` : ''}
+      ${csrfField(req, res, 'modify')}
+    </form>
+
+    <script>
+      flatpickr("#checkInDate", { minDate: "today", disable: ${soldOutDates}, dateFormat: "Y-m-d" });
+    </script>
+  `, req))
+})
+
+// The cancellation policy only applies to a change that gives up booked nights: moving or
+// shortening a stay costs the fee, extending it (every booked night kept) doesn't
+const getModificationTerms = (reservation, checkIn, nights) => {
+  const terms = getCancellationTerms(reservation)
+  if (terms.free) return terms
+  const newNights = getStayNights(checkIn, nights)
+  const keepsEveryNight = getStayNights(reservation.checkIn, reservation.nights).every(night => newNights.includes(night))
+  return keepsEveryNight ? { ...terms, free: true, penalty: 0, reason: 'Every booked night is kept' } : terms
+}
+
+// New stay total against what was already paid (positive: still to pay, negative: refunded)
+const getPriceDifference = (reservation, quote) => {
+  if (reservation.status !== 'PAID') return null
+  const paid = reservation.amountPaid === undefined ? pricing.quoteStay(getRoomType(reservation.room), reservation).total : reservation.amountPaid
+  return Math.round((quote.total - paid) * 100) / 100
+}
+
+const priceChangeHtml = (quote, difference) => {
+  if (difference === null) return `<p><strong>New Total:</strong> €${quote.total.toFixed(2)} <small style="color:grey;">(paid at checkout)</small></p>`
+  const balance = difference > 0 ? `€${difference.toFixed(2)} still to pay` : difference < 0 ? `€${(-difference).toFixed(2)} refunded` : 'nothing to pay'
+  return `<p><strong>New Total:</strong> €${quote.total.toFixed(2)} <span class="badge">${balance}</span></p>`
+}
+
+// First POST shows the fee and re-check result, a second POST with confirm=yes applies it
+app.post('/reservations/:id/modify', requireCsrf('modify'), async (req, res) => {
+  if (!req.user) return res.redirect('/')
+  await injectLatency(res, 'reserve')
+  const reservation = findOwnReservation(req)
+  if (!reservation) return bookingChangeError(req, res, 404, 'Booking Not Found', 'This booking does not exist or belongs to another guest.')
+  if (!isActiveReservation(reservation)) return inactiveBookingError(req, res, reservation, 'Booking Cancelled', 'has been cancelled and can no longer be changed.')
+
+  const checkIn = req.body.checkIn
+  const nights = Number(req.body.nights)
+  const stayError = validateStay(checkIn, nights)
+    || pricing.checkStayRules(getRoomType(reservation.room), { nights, guests: reservation.guests || 1, pets: reservation.pets || 0 })
+  if (stayError) return bookingChangeError(req, res, 400, 'Invalid Dates', stayError)
+
+  const roomNumber = isRoomAvailable(reservation.room, checkIn, nights, reservation.id)
+    ? assignRoomNumber(reservation.room, checkIn, nights, reservation.id)
+    : null
+  if (!roomNumber) {
+    return bookingChangeError(req, res, 409, 'Room Unavailable', `Sorry, all <strong>${reservation.room}</strong> rooms are already booked for these dates.`)
+  }
+
+  const terms = getModificationTerms(reservation, checkIn, nights)
+  const quote = pricing.quoteStay(getRoomType(reservation.room), { ...reservation, checkIn, nights })
+  const difference = getPriceDifference(reservation, quote)
+
+  if (req.body.confirm !== 'yes') {
+    return res.send(layout('Confirm Changes', ``+`
+      <article>
+        <header><strong>Confirm Changes to Booking #${reservation.id}</strong></header>
+        <div class="grid">
+          <div>
+            <h4>Current</h4>
+            <p>${reservation.checkIn} &bull; ${reservation.nights} night(s)</p>
+          </div>
+          <div>
+            <h4>New</h4>
+            <p>${checkIn} &bull; ${nights} night(s)</p>
+          </div>
+        </div>
+        ${priceChangeHtml(quote, difference)}
+        ${termsHtml(terms)}
+        <form action="${req.makeLink(`/reservations/${reservation.id}/modify`)}" method="POST">
+          <input type="hidden" name="checkIn" value="${checkIn}" />
+          <input type="hidden" name="nights" value="${nights}" />
+          <input type="hidden" name="confirm" value="yes" />
+          ${config.authMode === 'token' && req.token ? `<input type="hidden" name="token" value="${req.token}" />` : ''}
+          ${csrfField(req, res, 'modify')}
+          <div class="booking-actions">
+            <button type="submit">Confirm Changes</button>
+            <a href="${req.makeLink('/overview')}" role="button">Keep Booking</a>
+          </div>
+        </form>
+      </article>
+    `, req))
+  }
+
+  reservation.checkIn = checkIn
+  reservation.nights = nights
+  reservation.roomNumber = roomNumber
+  reservation.modifiedAt = new Date().toLocaleTimeString()
+  if (terms.penalty > 0) reservation.modificationFee = (reservation.modificationFee || 0) + terms.penalty
+  if (difference !== null) reservation.priceDifference = difference
+  await storage.saveReservation(reservation)
+
+  res.send(layout('Booking Updated', ``+`
+    <article style="border-color: green;">
+      <header><h3>✅ Booking Updated</h3></header>
+      <p>Booking <strong>#${reservation.id}</strong> is now ${checkIn} for ${nights} night(s) in room ${roomNumber}.</p>
+      ${priceChangeHtml(quote, difference)}
+      ${termsHtml(terms)}
+      <a href="${req.makeLink('/overview')}" role="button">View My Bookings</a>
+    </article>
+  `, req))
+})
+
+// --- SEARCH PAGE ---
+// Applies the /search filters (guests, maxPrice, category, dates) to the room types
+const searchRooms = ({ checkIn, checkOut, nights, guests, maxPrice, category }) => {
   let filteredRooms = roomTypes
   
   if (guests) {
@@ -796,9 +1993,27 @@ app.get('/search', async (req, res) => {
       const diffMs = checkOutDate - checkInDate
       nightsCount = Math.ceil(diffMs / (1000 * 60 * 60 * 24))
     }
-    filteredRooms = filteredRooms.filter(r => isRoomAvailable(r.room_name, checkIn, nightsCount))
+    // An impossible stay (fractional, negative or longer than bookable) matches no room
+    filteredRooms = pricing.isValidNights(nightsCount) ? filteredRooms.filter(r => isRoomAvailable(r.room_name, checkIn, nightsCount)) : []
   }
   
+  return filteredRooms
+}
+
+app.get('/search', async (req, res) => {
+  if (!req.user) return res.redirect('/')
+  await injectLatency(res, 'search')
+  
+  // Parse query parameters
+  const checkIn = req.query.checkIn || ''
+  const checkOut = req.query.checkOut || ''
+  const nights = req.query.nights || ''
+  const guests = req.query.guests || ''
+  const maxPrice = req.query.maxPrice || ''
+  const category = req.query.category || ''
+  
+  const filteredRooms = searchRooms(req.query)
+  
   // Get unique categories for the filter
   const categories = ['All', ...new Set(roomTypes.map(r => r.category))]
   const categoryOptions = categories.map(cat => 
@@ -889,58 +2104,196 @@ app.get('/search', async (req, res) => {
 })
 
 // --- CHECKOUT PAGE ---
-app.get('/checkout', async (req, res) => {
-  if (!req.user) return res.redirect('/')
-  await sleep(config.delays.checkout)
+// Looks up the booking being paid and checks it is still awaiting payment
+// Returns { reservation } or { status, title, message } describing why it can't be paid
+const findPayableReservation = (user, id) => {
+  releaseExpiredHolds()
+  const reservation = reservations.find(r => r.id === Number(id) && r.bookedBy === user)
+  if (!reservation) return { status: 404, title: 'Booking Not Found', message: 'Select a booking to pay from your bookings overview.' }
+  if (reservation.status === 'PAID') return { status: 409, title: 'Already Paid', message: `Booking #${reservation.id} has already been paid (Confirmation ID ${reservation.confirmationId}).` }
+  if (reservation.status === 'EXPIRED') return { status: 409, title: 'Payment Hold Expired', message: `Booking #${reservation.id} was not paid within ${config.paymentHoldMinutes} minutes and the room has been released.` }
+  if (reservation.status !== 'PENDING_PAYMENT') return { status: 409, title: 'Booking Not Payable', message: `Booking #${reservation.id} is ${reservation.status}.` }
+  return { reservation }
+}
+
+// Banks offered for iDEAL on /checkout (also used for the payments CSV on /config)
+const IDEAL_BANKS = {
+  abn_amro: 'ABN AMRO',
+  ing: 'ING',
+  rabobank: 'Rabobank',
+  sns_bank: 'SNS Bank',
+  asn_bank: 'ASN Bank',
+  regiobank: 'RegioBank',
+  triodos: 'Triodos Bank',
+  van_lanschot: 'Van Lanschot',
+  knab: 'Knab',
+  bunq: 'Bunq'
+}
+
+// Validates the payment fields of a checkout submission
+// Returns { message, hint } or null when the payment details are fine
+const validatePayment = (body) => {
+  const { paymentMethod } = body
+  if (!paymentMethod) return { message: 'Please select a payment method.' }
   
-  // Get booking details from query parameters (if coming from a reservation)
-  const room = req.query.room || ''
-  const checkIn = req.query.checkIn || ''
-  const nights = req.query.nights || '1'
-  const guest = req.query.guest || req.user
+  let validationError = null
+  let hint = null
   
-  // Calculate total if room is specified
-  let totalPrice = 0
-  let roomDetails = null
-  if (room) {
-    roomDetails = roomTypes.find(r => r.room_name === room)
-    if (roomDetails) {
-      totalPrice = roomDetails.pricing.base_price_per_night * Number(nights)
+  // Validate based on payment method
+  if (paymentMethod === 'creditcard') {
+    const { cardNumber, cardExpiry, cardCvv, cardHolder } = body
+    
+    if (!cardNumber || !cardExpiry || !cardCvv || !cardHolder) {
+      validationError = 'All credit card fields are required.'
+    } else {
+      // Validate card number using Luhn algorithm
+      const cleanCardNumber = String(cardNumber).replace(/\s/g, '')
+      if (!luhnCheck(cleanCardNumber)) {
+        validationError = 'Invalid credit card number. Please check and try again.'
+        hint = 'Test cards: 4111111111111111 (Visa), 5500000000000004 (Mastercard), 378282246310005 (Amex)'
+      }
+      
+      // Validate expiry date
+      if (!validationError) {
+        const expiryMatch = String(cardExpiry).match(/^(\d{2})\/(\d{2})$/)
+        if (!expiryMatch) {
+          validationError = 'Invalid expiry date format. Use MM/YY.'
+        } else {
+          const month = parseInt(expiryMatch[1], 10)
+          const year = 2000 + parseInt(expiryMatch[2], 10)
+          const expiry = new Date(year, month - 1)
+          const now = new Date()
+          now.setDate(1) // Set to first day of current month
+          if (expiry < now) {
+            validationError = 'Card has expired.'
+          }
+          if (month < 1 || month > 12) {
+            validationError = 'Invalid month in expiry date.'
+          }
+        }
+      }
+      
+      // Validate CVV
+      if (!validationError && !/^\d{3,4}$/.test(cardCvv)) {
+        validationError = 'CVV must be 3 or 4 digits.'
+      }
+    }
+  } else if (paymentMethod === 'paypal') {
+    const { paypalEmail } = body
+    
+    if (!paypalEmail) {
+      validationError = 'PayPal email is required.'
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(paypalEmail)) {
+      validationError = 'Invalid email format.'
+    }
+  } else if (paymentMethod === 'ideal') {
+    const { idealBank } = body
+    
+    if (!idealBank) {
+      validationError = 'Please select a bank.'
     }
   }
   
+  return validationError ? { message: validationError, hint } : null
+}
+
+// Pays a held booking: checks the posted total and payment details, then marks it PAID
+// Returns { reservation, quote } or { status, title, message, hint } describing why payment failed
+const payReservation = async (user, body) => {
+  const lookup = findPayableReservation(user, body.reservation)
+  if (!lookup.reservation) return lookup
+  const reservation = lookup.reservation
+  
+  // Never trust the posted total: it must be there and match the server-side quote
+  const quote = pricing.quoteStay(getRoomType(reservation.room), reservation)
+  if (body.totalPrice == null || body.totalPrice === '') {
+    return { status: 400, title: 'Price Mismatch', message: `No total was submitted, the booking total is €${quote.total.toFixed(2)}.` }
+  }
+  if (!pricing.totalMatches(quote, body.totalPrice)) {
+    return { status: 400, title: 'Price Mismatch', message: `The submitted total €${body.totalPrice} does not match the booking total of €${quote.total.toFixed(2)}.` }
+  }
+  
+  const paymentError = validatePayment(body)
+  if (paymentError) {
+    return { status: 400, title: body.paymentMethod ? 'Payment Validation Failed' : 'Payment Method Required', ...paymentError }
+  }
+  
+  // Generate fake confirmation ID
+  reservation.status = 'PAID'
+  reservation.confirmationId = crypto.randomBytes(6).toString('hex').toUpperCase()
+  reservation.transactionId = `TXN-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+  reservation.paymentMethod = body.paymentMethod
+  reservation.amountPaid = quote.total
+  reservation.paidAt = new Date().toLocaleTimeString()
+  await storage.saveReservation(reservation)
+  
+  return { reservation, quote }
+}
+
+const checkoutError = (req, res, { status, title, message }) => res.status(status).send(layout('Payment Error', ``+`
+  <article style="border-color: red;">
+    <h3>❌ ${title}</h3>
+    <p>${message}</p>
+    <a href="${req.makeLink('/overview')}" role="button" class="secondary">View My Bookings</a>
+  </article>
+`, req))
+
+app.get('/checkout', async (req, res) => {
+  if (!req.user) return res.redirect('/')
+  await injectLatency(res, 'checkout')
+  
+  // The booking comes from the /reserve redirect (or the Pay link on /overview)
+  const lookup = findPayableReservation(req.user, req.query.reservation)
+  if (!lookup.reservation) return checkoutError(req, res, lookup)
+  const reservation = lookup.reservation
+  const { room, checkIn, nights, guest } = reservation
+  
+  const quote = pricing.quoteStay(getRoomType(room), reservation)
+  const totalPrice = quote.total
+  const breakdownRows = quote.lines.map(line => `
+    <tr>
+      <td>${line.label} <small style="display:block; color:grey;">${line.detail}</small></td>
+      <td style="text-align:right;">€${line.amount.toFixed(2)}</td>
+    </tr>
+  `).join('')
+  
   const formAction = req.makeLink('/checkout')
   
   res.send(layout('Checkout', ``+`
     <h2>Payment & Checkout</h2>
     
-    ${room ? `
     <article>
-      <header><strong>Order Summary</strong></header>
+      <header><strong>Order Summary</strong> <span class="badge">Booking #${reservation.id}</span></header>
       <div class="grid">
         <div>
-          <p><strong>Room:</strong> ${escapeHtml(room)}</p>
-          <p><strong>Guest:</strong> ${escapeHtml(guest)}</p>
-          ${checkIn ? `<p><strong>Check-in:</strong> ${escapeHtml(checkIn)}</p>` : ''}
-          <p><strong>Nights:</strong> ${escapeHtml(nights)}</p>
+          <p><strong>Room:</strong> ${room} (No. ${reservation.roomNumber})</p>
+          <p><strong>Guest:</strong> ${guest}</p>
+          <p><strong>Check-in:</strong> ${checkIn}</p>
+          <p><strong>Nights:</strong> ${nights}</p>
+          <p><strong>Guests:</strong> ${reservation.guests || 1}${reservation.pets ? ` &bull; <strong>Pets:</strong> ${reservation.pets}` : ''}</p>
         </div>
         <div style="text-align: right;">
           <p style="font-size: 1.5rem; color: var(--pico-primary);"><strong>€${totalPrice.toFixed(2)}</strong></p>
-          <p style="font-size: 0.9rem; color: var(--pico-muted-color);">(€${roomDetails ? roomDetails.pricing.base_price_per_night : 0}/night × ${nights} nights)</p>
+          <p style="font-size: 0.9rem; color: var(--pico-muted-color);">⏳ Room held for ${formatHoldRemaining(reservation)}</p>
         </div>
       </div>
+      <table>
+        <tbody>${breakdownRows}</tbody>
+        <tfoot>
+          <tr><th><strong>Total</strong></th><th style="text-align:right;"><strong>€${totalPrice.toFixed(2)}</strong></th></tr>
+        </tfoot>
+      </table>
+      ${quote.prepaymentRequired ? `<p><span class="badge">💳 Prepayment required</span> The full amount is charged now.</p>` : ''}
+      ${quote.depositRequired ? `<p><span class="badge">🔐 Deposit required</span> A security deposit is collected at check-in.</p>` : ''}
     </article>
-    ` : ''}
     
     <article>
       <header><strong>Select Payment Method</strong></header>
       <form action="${formAction}" method="POST" id="checkoutForm">
-        <input type="hidden" name="room" value="${escapeHtml(room)}" />
-        <input type="hidden" name="checkIn" value="${escapeHtml(checkIn)}" />
-        <input type="hidden" name="nights" value="${escapeHtml(nights)}" />
-        <input type="hidden" name="guest" value="${escapeHtml(guest)}" />
+        <input type="hidden" name="reservation" value="${reservation.id}" />
         <input type="hidden" name="totalPrice" value="${totalPrice}" />
         ${config.authMode === 'token' && req.token ? `<input type="hidden" name="token" value="${req.token}" />` : ''}
+        ${csrfField(req, res, 'checkout')}
         
         <label>
           <input type="radio" name="paymentMethod" value="creditcard" checked onchange="togglePaymentFields()" />
@@ -993,16 +2346,7 @@ app.get('/checkout', async (req, res) => {
           <label>Dutch Bank
             <select name="idealBank">
               <option value="">-- Select Bank --</option>
-              <option value="abn_amro">ABN AMRO</option>
-              <option value="ing">ING</option>
-              <option value="rabobank">Rabobank</option>
-              <option value="sns_bank">SNS Bank</option>
-              <option value="asn_bank">ASN Bank</option>
-              <option value="regiobank">RegioBank</option>
-              <option value="triodos">Triodos Bank</option>
-              <option value="van_lanschot">Van Lanschot</option>
-              <option value="knab">Knab</option>
-              <option value="bunq">Bunq</option>
+              ${Object.entries(IDEAL_BANKS).map(([code, name]) => `<option value="${code}">${name}</option>`).join('\n              ')}
             </select>
           </label>
         </div>
@@ -1025,93 +2369,24 @@ app.get('/checkout', async (req, res) => {
   `, req))
 })
 
-app.post('/checkout', async (req, res) => {
+app.post('/checkout', requireCsrf('checkout'), async (req, res) => {
   if (!req.user) return res.redirect('/')
-  await sleep(config.delays.checkout)
-  
-  const { paymentMethod, room, checkIn, nights, guest, totalPrice } = req.body
-  
-  // Validate payment method
-  if (!paymentMethod) {
-    return res.status(400).send(layout('Payment Error', ``+`
-      <article style="border-color: red;">
-        <h3>❌ Payment Method Required</h3>
-        <p>Please select a payment method.</p>
-        <a href="${req.makeLink('/checkout')}" role="button" class="secondary">Try Again</a>
-      </article>
-    `, req))
-  }
-  
-  let validationError = null
-  
-  // Validate based on payment method
-  if (paymentMethod === 'creditcard') {
-    const { cardNumber, cardExpiry, cardCvv, cardHolder } = req.body
-    
-    if (!cardNumber || !cardExpiry || !cardCvv || !cardHolder) {
-      validationError = 'All credit card fields are required.'
-    } else {
-      // Validate card number using Luhn algorithm
-      const cleanCardNumber = cardNumber.replace(/\s/g, '')
-      if (!luhnCheck(cleanCardNumber)) {
-        validationError = 'Invalid credit card number. Please check and try again.<br><small>Test cards: 4111111111111111 (Visa), 5500000000000004 (Mastercard), 378282246310005 (Amex)</small>'
-      }
-      
-      // Validate expiry date
-      if (!validationError) {
-        const expiryMatch = cardExpiry.match(/^(\d{2})\/(\d{2})$/)
-        if (!expiryMatch) {
-          validationError = 'Invalid expiry date format. Use MM/YY.'
-        } else {
-          const month = parseInt(expiryMatch[1], 10)
-          const year = 2000 + parseInt(expiryMatch[2], 10)
-          const expiry = new Date(year, month - 1)
-          const now = new Date()
-          now.setDate(1) // Set to first day of current month
-          if (expiry < now) {
-            validationError = 'Card has expired.'
-          }
-          if (month < 1 || month > 12) {
-            validationError = 'Invalid month in expiry date.'
-          }
-        }
-      }
-      
-      // Validate CVV
-      if (!validationError && !/^\d{3,4}$/.test(cardCvv)) {
-        validationError = 'CVV must be 3 or 4 digits.'
-      }
-    }
-  } else if (paymentMethod === 'paypal') {
-    const { paypalEmail } = req.body
-    
-    if (!paypalEmail) {
-      validationError = 'PayPal email is required.'
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(paypalEmail)) {
-      validationError = 'Invalid email format.'
-    }
-  } else if (paymentMethod === 'ideal') {
-    const { idealBank } = req.body
-    
-    if (!idealBank) {
-      validationError = 'Please select a bank.'
-    }
-  }
+  await injectLatency(res, 'checkout')
   
-  // If validation failed, show error
-  if (validationError) {
+  const result = await payReservation(req.user, req.body)
+  if (!result.reservation) {
+    // Unknown, paid or expired bookings can't be retried
+    if (result.status !== 400) return checkoutError(req, res, result)
     return res.status(400).send(layout('Payment Error', ``+`
       <article style="border-color: red;">
-        <h3>❌ Payment Validation Failed</h3>
-        <p>${validationError}</p>
-        <a href="${req.makeLink('/checkout')}?room=${encodeURIComponent(room)}&checkIn=${encodeURIComponent(checkIn)}&nights=${nights}&guest=${encodeURIComponent(guest)}" role="button" class="secondary">Try Again</a>
+        <h3>❌ ${result.title}</h3>
+        <p>${escapeHtml(result.message)}${result.hint ? `<br><small>${result.hint}</small>` : ''}</p>
+        <a href="${req.makeLink(`/checkout?reservation=${encodeURIComponent(req.body.reservation)}`)}" role="button" class="secondary">Try Again</a>
       </article>
     `, req))
   }
-  
-  // Generate fake confirmation ID
-  const confirmationId = crypto.randomBytes(6).toString('hex').toUpperCase()
-  const transactionId = `TXN-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+  const { reservation, quote } = result
+  const { room, checkIn, nights, guest, paymentMethod, confirmationId, transactionId } = reservation
   
   // Payment method display names
   const paymentMethodNames = {
@@ -1131,11 +2406,12 @@ app.post('/checkout', async (req, res) => {
         <p><strong>Confirmation ID:</strong> <code style="font-size: 1.2rem; color: var(--pico-primary);">${confirmationId}</code></p>
         <p><strong>Transaction ID:</strong> <code>${transactionId}</code></p>
         <hr />
-        <p><strong>Guest:</strong> ${escapeHtml(guest)}</p>
-        ${room ? `<p><strong>Room:</strong> ${escapeHtml(room)}</p>` : ''}
-        ${checkIn ? `<p><strong>Check-in Date:</strong> ${escapeHtml(checkIn)}</p>` : ''}
-        <p><strong>Nights:</strong> ${escapeHtml(nights)}</p>
-        <p><strong>Total Amount Paid:</strong> <span style="font-size: 1.3rem; color: var(--pico-primary);">€${Number(totalPrice).toFixed(2)}</span></p>
+        <p><strong>Booking:</strong> #${reservation.id}</p>
+        <p><strong>Guest:</strong> ${guest}</p>
+        <p><strong>Room:</strong> ${room} (No. ${reservation.roomNumber})</p>
+        <p><strong>Check-in Date:</strong> ${checkIn}</p>
+        <p><strong>Nights:</strong> ${nights}</p>
+        <p><strong>Total Amount Paid:</strong> <span style="font-size: 1.3rem; color: var(--pico-primary);">€${quote.total.toFixed(2)}</span></p>
         <p><strong>Payment Method:</strong> ${paymentMethodNames[paymentMethod] || paymentMethod}</p>
         <p style="font-size: 0.9rem; color: var(--pico-muted-color); margin-top: 1rem;">
           <em>A confirmation email has been sent to your registered email address.</em>
@@ -1151,22 +2427,558 @@ app.post('/checkout', async (req, res) => {
 })
 
 // --- CONFIG ---
-app.get('/config', (_req, res) => {
-  const { delays, errorRate, authMode } = config
-  
-  // Build reservations table
-  const reservationRows = reservations.length === 0
-    ? `<tr><td colspan="7" style="text-align:center; padding: 2rem;" class="muted">No reservations found.</td></tr>`
-    : reservations.map(r => `
-      <tr>
-        <td>#${r.id}</td>
-        <td><b>${r.guest}</b></td>
-        <td>${r.room}</td>
-        <td>${r.checkIn || 'N/A'}</td>
-        <td>${r.nights}</td>
-        <td>${r.date}</td>
-        <td style="font-size:0.8em; color:grey;">${r.bookedBy || 'system'}</td>
-      </tr>
+const DELAY_LABELS = { login: 'Login', rooms: 'Room Details', reserve: 'Reserve', search: 'Search', checkout: 'Checkout', menu: 'Menu', overview: 'Overview' }
+
+// Latency profile inputs; 'ms' keeps the original delay_<route> field name
+const LATENCY_INPUTS = [
+  { param: 'ms', label: 'ms', types: ['constant', 'spike'] },
+  { param: 'min', label: 'min ms', types: ['uniform'] },
+  { param: 'max', label: 'max ms', types: ['uniform'] },
+  { param: 'mean', label: 'mean ms', types: ['normal'] },
+  { param: 'stddev', label: 'stddev ms', types: ['normal'] },
+  { param: 'median', label: 'median ms', types: ['lognormal'] },
+  { param: 'sigma', label: 'sigma', types: ['lognormal'], step: '0.05' },
+  { param: 'spikePercent', label: 'spike %', types: ['spike'], step: '0.1' },
+  { param: 'spikeMs', label: 'spike ms', types: ['spike'] }
+]
+
+const latencyFieldName = (route, param) => param === 'ms' ? `delay_${route}` : `delay_${route}_${param}`
+
+const readLatencyProfile = (body, route) => latency.normalizeProfile({
+  type: body[`delay_${route}_type`],
+  ...Object.fromEntries(latency.PARAMETERS.map(param => [param, body[latencyFieldName(route, param)]]))
+})
+
+// Configured profile vs. what was actually sampled, per route
+const getLatencyReport = () => Object.fromEntries(Object.keys(config.delays).map(route => [route, {
+  profile: config.delays[route],
+  description: latency.describeProfile(config.delays[route]),
+  expectedMeanMs: Math.round(latency.expectedMean(config.delays[route])),
+  sampled: latency.summarizeSamples(latencySamples[route] || [])
+}]))
+
+// --- SCENARIOS ---
+// Settings a scenario step may change, each normalised the same way as the /config form
+const SCENARIO_SETTINGS = {
+  errorRate: NORMALIZERS.errorRate,
+  chaosRules: NORMALIZERS.chaosRules,
+  paymentHoldMinutes: NORMALIZERS.paymentHoldMinutes,
+  'capacity.workers': NORMALIZERS.capacity.workers,
+  'capacity.queueSize': NORMALIZERS.capacity.queueSize,
+  'rateLimit.enabled': NORMALIZERS.rateLimit.enabled,
+  ...Object.fromEntries(Object.keys(config.delays).map(route => [`delays.${route}`, latency.normalizeProfile]))
+}
+
+// Steps run on timers, so each tenant's runner is tied to that tenant's config
+const scenarioRunner = tenants.scoped('scenarioRunner', (tenant) => createScenarioRunner({
+  read: (key) => JSON.parse(JSON.stringify(key.split('.').reduce((obj, part) => obj[part], tenants.stateOf(tenant, 'config')))),
+  write: (key, value) => {
+    const parts = key.split('.')
+    const last = parts.pop()
+    parts.reduce((obj, part) => obj[part], tenants.stateOf(tenant, 'config'))[last] = SCENARIO_SETTINGS[key](value)
+    if (key.startsWith('capacity.')) tenants.stateOf(tenant, 'workerPool').drain()
+  }
+}))
+
+// Pre-filled in the scenario box until another script is submitted
+let exampleScenario = ''
+try {
+  exampleScenario = fs.readFileSync(path.join(__dirname, 'scenarios', 'friday-incident.yaml'), 'utf8')
+} catch (err) {
+  console.error('❌ Error loading example scenario:', err.message)
+}
+const scenarioDraft = tenants.scoped('scenarioDraft', () => ({ script: exampleScenario }))
+
+// --- PRESETS ---
+// Named configs { name, description, settings }. Settings may be partial: applying a preset starts
+// from the defaults (keeping the current authMode unless the preset sets one).
+// The bundled presets/*.json are read-only; saved and imported ones live in storage and may shadow them.
+// Presets are shared by all tenants and saved in the main hotel's storage.
+const presets = new Map()
+
+try {
+  for (const file of fs.readdirSync(path.join(__dirname, 'presets')).filter(file => file.endsWith('.json')).sort()) {
+    const preset = JSON.parse(fs.readFileSync(path.join(__dirname, 'presets', file), 'utf8'))
+    presets.set(preset.name, { ...preset, builtIn: true })
+  }
+} catch (err) {
+  console.error('❌ Error loading presets:', err.message)
+}
+const builtInPresets = new Map(presets)
+
+// Complete config for a preset (or PUT /config/settings body); throws on invalid settings
+const settingsFromPreset = (settings) =>
+  normalizeSettings(mergeSettings({ ...DEFAULT_CONFIG, authMode: config.authMode }, settings), DEFAULT_CONFIG)
+
+// Validates a preset from the form or API; returns the preset to store or throws
+const buildPreset = (name, description, settings) => {
+  const cleanName = String(name || '').trim()
+  if (!cleanName || cleanName.length > 60) throw new Error('A preset needs a name of 1 to 60 characters.')
+  settingsFromPreset(settings)
+  return { name: cleanName, description: String(description || '').trim(), settings }
+}
+
+const savePreset = async (preset) => {
+  presets.set(preset.name, { ...preset, builtIn: false })
+  await defaultStorage.savePreset(preset)
+}
+
+// Removes a saved preset; a bundled one it shadowed comes back
+const deletePreset = async (name) => {
+  presets.delete(name)
+  if (builtInPresets.has(name)) presets.set(name, builtInPresets.get(name))
+  await defaultStorage.deletePreset(name)
+}
+
+const presetSummary = ({ name, description, builtIn }) => ({ name, description, builtIn })
+
+// --- ENVIRONMENT RESET & SEED ---
+// Between workshop rounds: drop every booking and log everybody out (the config and presets stay),
+// then optionally pre-fill the hotel with paid seed bookings (see lib/seed.js)
+const SEED_USER = 'seed'
+const PAYMENT_METHODS = ['creditcard', 'paypal', 'ideal']
+
+const resetEnvironment = async () => {
+  const cleared = { reservations: reservations.length, tokens: tokenStore.size + refreshTokenStore.size, cookieSessions: cookieSessions.size }
+  reservations.length = 0
+  ids.nextReservationId = 1
+  await storage.clearReservations()
+  clearAllTokens()
+  clearAllCookieSessions()
+  clearAllRefreshTokens()
+  csrfTokens.clear()
+  console.log(`🧹 Environment reset: removed ${cleared.reservations} reservations`)
+  return cleared
+}
+
+// Creates the seed bookings; occupancy per room type covers every active booking in the window
+const seedReservations = async (options) => {
+  const created = []
+  const rooms = generateSeed(options, {
+    roomTypes,
+    getInventory,
+    checkStayRules: pricing.checkStayRules,
+    book: ({ room, checkIn, nights, guests, guest, random }) => {
+      const roomNumber = isRoomAvailable(room, checkIn, nights) ? assignRoomNumber(room, checkIn, nights) : null
+      if (!roomNumber) return false
+      const reservation = {
+        id: ids.nextReservationId++,
+        guest,
+        room,
+        roomNumber,
+        checkIn,
+        nights,
+        guests,
+        pets: 0,
+        date: new Date().toLocaleTimeString(),
+        bookedBy: SEED_USER,
+        status: 'PAID',
+        confirmationId: random.hex(6),
+        transactionId: `TXN-SEED-${random.hex(4)}`,
+        paymentMethod: random.pick(PAYMENT_METHODS),
+        amountPaid: pricing.quoteStay(getRoomType(room), { nights, guests }).total,
+        paidAt: new Date().toLocaleTimeString()
+      }
+      reservations.push(reservation)
+      created.push(reservation)
+      return true
+    }
+  })
+  await Promise.all(created.map(reservation => storage.saveReservation(reservation)))
+  if (!storage.durable && reservations.length > 2000) reservations.splice(0, reservations.length - 2000)
+
+  const windowNights = getStayNights(options.from, options.days)
+  const summary = {
+    seed: options.seed,
+    from: options.from,
+    to: addDays(options.from, options.days),
+    days: options.days,
+    created: created.length,
+    rooms: rooms.map(({ room, bookings, roomNights }) => {
+      const occupancy = getNightlyOccupancy(room)
+      const booked = windowNights.reduce((sum, night) => sum + (occupancy[night] || 0), 0)
+      return { room, bookings, roomNights, occupancy: Math.round(booked / (getInventory(room) * options.days) * 1000) / 10 }
+    })
+  }
+  console.log(`🌱 Seeded ${created.length} reservations from ${summary.from} to ${summary.to} (seed ${options.seed})`)
+  return summary
+}
+
+// --- LIVE DASHBOARD ---
+// One point per second for /config/live, pushed to every open dashboard over Server-Sent Events
+const liveClients = tenants.scoped('liveClients', () => new Set())
+
+setInterval(() => tenants.forEach(() => {
+  const point = liveStats.tick({ sessions: cookieSessions.size + tokenStore.size })
+  for (const client of liveClients) client.write(`data: ${JSON.stringify(point)}\n\n`)
+}), 1000).unref()
+
+// --- CONFIG ACCESS ---
+// /config is for the admin account: log in on /config/login (or the normal login page),
+// or send admin credentials with HTTP Basic auth from scripts. CONFIG_AUTH=off opens it to everyone again.
+const CONFIG_AUTH = process.env.CONFIG_AUTH !== 'off'
+const CONFIG_SESSION_HOURS = 12
+
+// Every team knows admin/password from its own /t/<team>/config. Setting INSTRUCTOR_PASSWORD makes the
+// main hotel's /config (and the team overview) take the admin name with that password instead.
+const INSTRUCTOR_PASSWORD = TENANTS_MODE === 'off' ? null : process.env.INSTRUCTOR_PASSWORD || null
+
+const checkConfigCredentials = (username, password) => {
+  if (getRole(username) !== 'admin') return false
+  if (INSTRUCTOR_PASSWORD && tenants.current().isDefault) {
+    const given = Buffer.from(String(password || ''))
+    const expected = Buffer.from(INSTRUCTOR_PASSWORD)
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  }
+  return checkCredentials(username, password)
+}
+
+const startConfigSession = (res, username) => {
+  const id = crypto.randomBytes(24).toString('hex')
+  configSessions.set(id, { username, createdAt: new Date(), expiresAt: new Date(Date.now() + CONFIG_SESSION_HOURS * 60 * 60 * 1000) })
+  res.cookie('config_session', id, { httpOnly: true, sameSite: 'lax', path: '/config' })
+}
+
+// Admin name from the config session cookie or an Authorization: Basic header, or null
+const getConfigAdmin = (req) => {
+  const id = getCookie(req, 'config_session')
+  const session = id ? configSessions.get(id) : null
+  if (session && session.expiresAt > new Date()) return session.username
+  if (session) configSessions.delete(id)
+
+  const basic = (req.headers.authorization || '').match(/^Basic\s+(\S+)$/i)
+  if (basic) {
+    const [username, ...password] = Buffer.from(basic[1], 'base64').toString().split(':')
+    if (checkConfigCredentials(username, password.join(':'))) return username
+  }
+  return null
+}
+
+// The JSON routes can't carry a form token: a cross-site form can only POST urlencoded, multipart or
+// text bodies, so their POSTs insist on Content-Type: application/json. PUT, PATCH and DELETE need a
+// CORS preflight this app never grants, so browsers can't send them cross-site at all.
+const requireJsonBody = (req, res, next) => {
+  // The header alone counts: a reset has no body, and req.is() ignores the type of an empty one
+  if (/^application\/json\s*(;|$)/i.test(req.get('Content-Type') || '')) return next()
+  res.status(415).json({ error: 'Unsupported Media Type', message: 'Send the request with Content-Type: application/json.' })
+}
+
+// Only follow ?next= back into /config, never to another site
+const configNext = (value) => /^\/config(\/|\?|$)/.test(String(value || '')) ? String(value) : '/config'
+
+const configLoginPage = (req, message = '') => layout('Config Login', ``+`
+  <article style="max-width:28rem; margin:0 auto;">
+    <header><strong>🔒 Workshop Configuration</strong></header>
+    ${message ? `<p style="color:red;">${message}</p>` : ''}
+    ${req.user && req.role !== 'admin' ? `<p>You are signed in as <strong>${escapeHtml(req.user)}</strong>, the configuration needs the admin account.</p>` : ''}
+    ${INSTRUCTOR_PASSWORD && req.tenant.isDefault ? '<p><small>This is the main hotel: log in as <strong>admin</strong> with the instructor password. Teams configure their own hotel under /t/&lt;team&gt;/config.</small></p>' : ''}
+    <form action="/config/login" method="POST">
+      <input type="hidden" name="next" value="${escapeHtml(configNext(req.query.next || (req.body || {}).next))}" />
+      <label>Username <input type="text" name="username" autocomplete="username" required /></label>
+      <label>Password <input type="password" name="password" autocomplete="current-password" required /></label>
+      <button type="submit">Log In</button>
+    </form>
+    <a href="/" role="button" class="secondary outline" style="margin-top:0.5rem;">Back to App</a>
+  </article>
+`, req)
+
+app.get('/config/login', (req, res) => {
+  res.send(configLoginPage(req))
+})
+
+app.post('/config/login', (req, res) => {
+  const { username, password } = req.body
+  if (!checkConfigCredentials(username, password)) {
+    return res.status(401).send(configLoginPage(req, 'Invalid admin credentials.'))
+  }
+  startConfigSession(res, username)
+  res.redirect(configNext(req.body.next))
+})
+
+app.get('/config/logout', (req, res) => {
+  const id = getCookie(req, 'config_session')
+  if (id) configSessions.delete(id)
+  res.clearCookie('config_session', { path: '/config' })
+  res.redirect('/')
+})
+
+app.use('/config', (req, res, next) => {
+  if (!CONFIG_AUTH) return next()
+  req.configAdmin = getConfigAdmin(req)
+  if (req.configAdmin) return next()
+
+  // Browsers go to the login page, scripts get a 401 they can answer with Basic auth
+  if (req.method === 'GET' && !req.headers.authorization && req.accepts(['html', 'json']) === 'html') {
+    return res.redirect(`/config/login?next=${encodeURIComponent(req.originalUrl.slice(req.tenant.prefix.length))}`)
+  }
+  res.set('WWW-Authenticate', 'Basic realm="Hotel TAD config"')
+  res.status(401).json({ error: 'Unauthorized', message: 'The configuration needs the admin account: log in on /config/login or use HTTP Basic auth.' })
+})
+
+app.get('/config', (req, res) => {
+  const { delays, errorRate, authMode, paymentHoldMinutes } = config
+  const pool = workerPool.getStatus()
+  
+  // Presets: apply, export, delete, save current, import
+  const presetButton = (action, name, label, cls = '') => `
+    <form action="/config/presets" method="POST" style="margin:0;">
+      ${csrfField(req, res, 'presets')}
+      <input type="hidden" name="action" value="${action}" />
+      <input type="hidden" name="name" value="${escapeHtml(name)}" />
+      <button type="submit" class="${cls}" style="padding:.25rem .75rem; font-size:.85em;">${label}</button>
+    </form>`
+  const presetRows = [...presets.values()].map(preset => `
+    <tr>
+      <td><strong>${escapeHtml(preset.name)}</strong>${preset.builtIn ? ' <span class="badge">built-in</span>' : ''}</td>
+      <td style="font-size:.85em;">${escapeHtml(preset.description || '')}</td>
+      <td style="white-space:nowrap;">
+        <div style="display:flex; gap:.5rem; align-items:center;">
+          ${presetButton('apply', preset.name, 'Apply')}
+          <a href="/config/presets/${encodeURIComponent(preset.name)}?download=1">Export</a>
+          ${preset.builtIn || !req.tenant.isDefault ? '' : presetButton('delete', preset.name, 'Delete', 'contrast')}
+        </div>
+      </td>
+    </tr>`).join('')
+  const presetPanel = `
+    <article>
+      <header><strong>💾 Presets</strong></header>
+      <div class="table-wrap">
+        <table class="striped">
+          <thead><tr><th>Name</th><th>Description</th><th></th></tr></thead>
+          <tbody>${presetRows || '<tr><td colspan="3" class="muted">No presets yet.</td></tr>'}</tbody>
+        </table>
+      </div>
+      <small style="display:block; color:grey">
+        Applying a preset resets everything it doesn't set to the defaults, except the auth mode (changing it logs everybody out).
+        Scripts can use <code>GET/PATCH/PUT /config/settings</code> and <code>/config/presets</code>, see the API docs.
+      </small>
+      ${req.tenant.isDefault ? `<div class="grid" style="margin-top:1rem;">
+        <form action="/config/presets" method="POST">
+          ${csrfField(req, res, 'presets')}
+          <input type="hidden" name="action" value="save" />
+          <label>Save current config as <input type="text" name="name" placeholder="Lab 2 think times" required maxlength="60" /></label>
+          <label>Description <input type="text" name="description" /></label>
+          <button type="submit" class="secondary">Save Preset</button>
+        </form>
+        <form action="/config/presets" method="POST">
+          ${csrfField(req, res, 'presets')}
+          <input type="hidden" name="action" value="import" />
+          <label>Import (exported JSON)
+            <textarea name="preset" rows="5" style="font-family:monospace; font-size:.85em;" placeholder='{ "name": "...", "description": "...", "settings": { ... } }' required></textarea>
+          </label>
+          <button type="submit" class="secondary">Import Preset</button>
+        </form>
+      </div>` : '<small style="display:block; color:grey; margin-top:.5rem;">Presets are shared by all teams, so only the instructor can save, import or delete them.</small>'}
+    </article>
+  `
+
+  // Environment reset and seed data
+  const environmentPanel = `
+    <article>
+      <header><strong>🌱 Reset &amp; Seed Data</strong></header>
+      <form action="/config/environment" method="POST" onsubmit="return confirm('Remove all ${reservations.length} bookings and log everybody out?')">
+        ${csrfField(req, res, 'environment')}
+        <input type="hidden" name="action" value="reset" />
+        <button type="submit" class="secondary outline">🧹 Reset Environment</button>
+        <small style="display:block; color:grey">Removes every booking and logs everybody out (cookie sessions, tokens, refresh tokens). Config and presets stay.</small>
+      </form>
+      <form action="/config/environment" method="POST" style="margin-top:1rem;">
+        ${csrfField(req, res, 'environment')}
+        <input type="hidden" name="action" value="seed" />
+        <div class="grid">
+          <label>Bookings <input type="number" name="count" min="1" max="2000" placeholder="e.g. 100" /></label>
+          <label>or Occupancy (%) <input type="number" name="occupancy" min="1" max="100" step="any" placeholder="e.g. 80" /></label>
+        </div>
+        <div class="grid">
+          <label>From <input type="date" name="from" value="${addDays(localDate(), 1)}" /></label>
+          <label>Days <input type="number" name="days" value="30" min="1" max="365" required /></label>
+          <label>Seed <input type="text" name="seed" placeholder="random" maxlength="64" /></label>
+        </div>
+        <label><input type="checkbox" name="reset" checked /> Reset the environment first</label>
+        <button type="submit" class="secondary">🌱 Create Seed Data</button>
+        <small style="display:block; color:grey">
+          Paid bookings by user <code>${SEED_USER}</code>, spread over the window per room type: a number of bookings (split by inventory) or a target occupancy; with both, seeding stops at whichever is reached first.
+          With the same seed and dates every reset gives every student the same hotel. Scripts can use <code>POST /config/reset</code> and <code>POST /config/seed</code>.
+        </small>
+      </form>
+    </article>
+  `
+
+  // CSV test data downloads (GET, so no CSRF token)
+  const dataPanel = `
+    <article>
+      <header><strong>📄 Test Data (CSV)</strong></header>
+      <form action="/config/data/users.csv" method="GET">
+        <div class="grid">
+          <label>Rows <input type="number" name="count" value="100" min="1" max="10000" required /></label>
+          <label>Invalid rows (%) <input type="number" name="invalid" value="0" min="0" max="100" step="any" /></label>
+          <label>Seed <input type="text" name="seed" placeholder="random" maxlength="64" /></label>
+          <label>Payment method
+            <select name="method">
+              <option value="all">All</option>
+              ${DATA_PAYMENT_METHODS.map(method => `<option value="${method}">${method}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        <div class="grid">
+          ${Object.entries(DATA_FILES).map(([name, file]) => `
+            <button type="submit" class="secondary" formaction="/config/data/${name}.csv" title="${escapeHtml(file.description)}">⬇ ${name}.csv</button>`).join('')}
+        </div>
+      </form>
+      <small style="display:block; color:grey">
+        Generated from the current rules: <code>user&lt;N&gt;</code> / <code>Password&lt;N&gt;</code> logins, future check-ins with nights respecting each room's minimum stay,
+        room names from <code>rooms.json</code>, Luhn-valid test cards, PayPal emails and the iDEAL banks from <code>/checkout</code>.
+        Invalid rows are meant to be rejected; the <code>valid</code> and <code>reason</code> columns tell them apart. The same seed gives the same file.
+      </small>
+    </article>
+  `
+
+  // Scenario runner status and controls
+  const scenario = scenarioRunner.getStatus()
+  const scenarioActive = scenario.state === 'running' || scenario.state === 'paused'
+  const scenarioButton = (action, label, cls = '') => `
+    <form action="/config/scenario" method="POST" style="margin:0;">
+      ${csrfField(req, res, 'scenario')}
+      <input type="hidden" name="action" value="${action}" />
+      <button type="submit" class="${cls}" style="width:100%;">${label}</button>
+    </form>`
+  const scenarioPanel = `
+    <article>
+      <header><strong>🎬 Scenario Runner</strong></header>
+      ${scenario.state === 'idle' ? '<p class="muted">No scenario has run yet.</p>' : `
+        <p>
+          <span class="badge" id="scenario-state">${scenario.state.toUpperCase()}</span>
+          <strong>${escapeHtml(scenario.name)}</strong> · <span id="scenario-elapsed">${scenario.elapsed}</span> of ${scenario.total}
+        </p>
+        <p>
+          Current phase: <strong id="scenario-phase">${escapeHtml(scenario.phase)}</strong><br>
+          Next: <span id="scenario-next">${scenario.next ? `${escapeHtml(scenario.next.label)} in ${scenario.next.in}` : '—'}</span>
+        </p>
+        <details>
+          <summary>Timeline &amp; log</summary>
+          <ul>${scenario.steps.map(step => `<li>t+${step.at}${step.duration ? ` for ${step.duration}` : ''}: ${escapeHtml(step.label)}</li>`).join('')}</ul>
+          <pre style="font-size:.8em;">${scenario.log.map(entry => `${entry.time}  t+${entry.elapsed}  ${escapeHtml(entry.message)}`).join('\n')}</pre>
+        </details>
+      `}
+      ${scenarioActive ? `
+        <div class="booking-actions">
+          ${scenario.state === 'running' ? scenarioButton('pause', '⏸ Pause', 'secondary') : scenarioButton('resume', '▶ Resume', 'secondary')}
+          ${scenarioButton('abort', '⏹ Abort &amp; Restore', 'contrast')}
+        </div>
+        <script>
+          // Live countdown; reload once the scenario changes state
+          setInterval(async () => {
+            const status = await (await fetch('${req.tenant.prefix}/config/scenario')).json()
+            if (status.state.toUpperCase() !== document.getElementById('scenario-state').textContent) return location.reload()
+            document.getElementById('scenario-elapsed').textContent = status.elapsed
+            document.getElementById('scenario-phase').textContent = status.phase
+            document.getElementById('scenario-next').textContent = status.next ? status.next.label + ' in ' + status.next.in : '—'
+          }, 1000)
+        </script>
+      ` : `
+        <form action="/config/scenario" method="POST">
+          ${csrfField(req, res, 'scenario')}
+          <input type="hidden" name="action" value="start" />
+          <label>Timeline (YAML or JSON)
+            <textarea name="script" rows="16" style="font-family:monospace; font-size:.85em;">${escapeHtml(scenarioDraft.script)}</textarea>
+          </label>
+          <small style="display:block; color:grey">
+            Settings a step can <code>set</code>: ${Object.keys(SCENARIO_SETTINGS).map(key => `<code>${key}</code>`).join(', ')}.
+            A step with <code>duration</code> is reverted afterwards, <code>reset: true</code> restores the values from before the start. Abort restores them too.
+          </small>
+          <button type="submit">▶ Start Scenario</button>
+        </form>
+      `}
+    </article>
+  `
+
+  // Existing chaos rules plus a few empty rows to add new ones
+  const chaosRows = [...config.chaosRules, null, null, null].map((rule, i) => `
+    <tr>
+      <td>
+        <select name="chaosRules[${i}][fault]" style="margin:0;">
+          <option value="">— none —</option>
+          ${Object.entries(chaos.FAULTS).map(([fault, label]) => `<option value="${fault}" ${rule && rule.fault === fault ? 'selected' : ''}>${fault}: ${label}</option>`).join('')}
+        </select>
+      </td>
+      <td><input type="number" name="chaosRules[${i}][probability]" value="${rule ? rule.probability : 10}" min="0" max="100" step="0.1" style="margin:0;" /></td>
+      <td>
+        <select name="chaosRules[${i}][method]" style="margin:0;">
+          ${chaos.METHODS.map(method => `<option value="${method}" ${rule && rule.method === method ? 'selected' : ''}>${method}</option>`).join('')}
+        </select>
+      </td>
+      <td><input type="text" name="chaosRules[${i}][path]" value="${rule ? escapeHtml(rule.path) : ''}" placeholder="all paths" style="margin:0;" /></td>
+      <td>${rule ? chaosFired[i] || 0 : ''}</td>
+    </tr>
+  `).join('')
+
+  // Rate limit rules plus empty rows, and who got throttled most
+  const throttled = rateLimiter.getStats()
+  const rateLimitRows = [...config.rateLimit.rules, null, null].map((rule, i) => `
+    <tr>
+      <td>
+        <select name="rateLimitRules[${i}][method]" style="margin:0;">
+          ${chaos.METHODS.map(method => `<option value="${method}" ${rule && rule.method === method ? 'selected' : ''}>${method}</option>`).join('')}
+        </select>
+      </td>
+      <td><input type="text" name="rateLimitRules[${i}][path]" value="${rule ? escapeHtml(rule.path) : ''}" placeholder="all paths" style="margin:0;" /></td>
+      <td><input type="number" name="rateLimitRules[${i}][limit]" value="${rule ? rule.limit : ''}" min="1" style="margin:0;" /></td>
+      <td><input type="number" name="rateLimitRules[${i}][perSeconds]" value="${rule ? rule.perSeconds : 60}" min="1" style="margin:0;" /></td>
+      <td>${rule ? throttled.byRule[i] || 0 : ''}</td>
+    </tr>
+  `).join('')
+  const topThrottled = throttled.topClients.length === 0
+    ? ''
+    : `<small style="display:block; color:grey">Most throttled: ${throttled.topClients.map(([client, count]) => `<code>${escapeHtml(client)}</code> ${count}×`).join(', ')}</small>`
+
+  // Latency profiles with the delays actually sampled so far
+  const latencyReport = getLatencyReport()
+  const latencyRows = Object.entries(DELAY_LABELS).map(([route, label]) => {
+    const profile = delays[route]
+    const sampled = latencyReport[route].sampled
+    const inputs = LATENCY_INPUTS.map(({ param, label, types, step }) => `
+      <label class="latency-param" data-types="${types.join(' ')}">${label}
+        <input type="number" name="${latencyFieldName(route, param)}" value="${profile[param]}" min="0" ${step ? `step="${step}"` : ''} />
+      </label>`).join('')
+    return `
+      <tr>
+        <td><strong>${label}</strong></td>
+        <td>
+          <select name="delay_${route}_type" data-latency style="margin:0;">
+            ${latency.DISTRIBUTIONS.map(type => `<option value="${type}" ${profile.type === type ? 'selected' : ''}>${type}</option>`).join('')}
+          </select>
+        </td>
+        <td>${inputs}</td>
+        <td>${latencyReport[route].expectedMeanMs}</td>
+        <td>${sampled ? sampled.count : 0}</td>
+        <td>${sampled ? sampled.mean : '-'}</td>
+        <td>${sampled ? sampled.p50 : '-'}</td>
+        <td>${sampled ? sampled.p95 : '-'}</td>
+        <td>${sampled ? sampled.p99 : '-'}</td>
+        <td>${sampled ? sampled.max : '-'}</td>
+      </tr>
+    `
+  }).join('')
+
+  // Build reservations table
+  const reservationRows = reservations.length === 0
+    ? `<tr><td colspan="9" style="text-align:center; padding: 2rem;" class="muted">No reservations found.</td></tr>`
+    : reservations.map(r => `
+      <tr>
+        <td>#${r.id}</td>
+        <td><b>${r.guest}</b></td>
+        <td>${r.room}</td>
+        <td>${r.roomNumber || 'N/A'}</td>
+        <td>${r.checkIn || 'N/A'}</td>
+        <td>${r.nights}</td>
+        <td>${r.date}</td>
+        <td>
+          <span class="badge">${r.status}</span>
+          ${r.status === 'PENDING_PAYMENT' ? `<small style="display:block; color:grey;">⏳ ${formatHoldRemaining(r)} left</small>` : ''}
+          ${r.status === 'PAID' ? `<small style="display:block; color:grey;">${r.confirmationId}</small>` : ''}
+        </td>
+        <td style="font-size:0.8em; color:grey;">${r.bookedBy || 'system'}</td>
+      </tr>
     `).reverse().join('')
   
   // Build active sessions table based on auth mode
@@ -1174,11 +2986,13 @@ app.get('/config', (_req, res) => {
   
   if (authMode === 'cookie') {
     const sessionRows = cookieSessions.size === 0
-      ? `<tr><td colspan="2" style="text-align:center; padding: 2rem;" class="muted">No active cookie sessions.</td></tr>`
-      : Array.from(cookieSessions.entries()).map(([username, lastSeen]) => `
+      ? `<tr><td colspan="4" style="text-align:center; padding: 2rem;" class="muted">No active cookie sessions.</td></tr>`
+      : Array.from(cookieSessions.entries()).map(([username, session]) => `
         <tr>
           <td><strong>${username}</strong></td>
-          <td style="font-size:0.85em; color:grey;">${lastSeen.toLocaleString()}</td>
+          <td style="font-size:0.85em; color:grey;">${session.createdAt.toLocaleString()}</td>
+          <td style="font-size:0.85em; color:grey;">${session.lastSeen.toLocaleString()}</td>
+          <td>${formatSessionRemaining(session)}</td>
         </tr>
       `).join('')
     
@@ -1190,7 +3004,7 @@ app.get('/config', (_req, res) => {
         <div class="table-wrap">
           <table class="striped">
             <thead>
-              <tr><th>Username</th><th>Last Seen</th></tr>
+              <tr><th>Username</th><th>Logged In</th><th>Last Seen</th><th>Remaining</th></tr>
             </thead>
             <tbody>${sessionRows}</tbody>
           </table>
@@ -1199,12 +3013,13 @@ app.get('/config', (_req, res) => {
     `
   } else if (authMode === 'token') {
     const tokenRows = tokenStore.size === 0
-      ? `<tr><td colspan="3" style="text-align:center; padding: 2rem;" class="muted">No active tokens.</td></tr>`
+      ? `<tr><td colspan="4" style="text-align:center; padding: 2rem;" class="muted">No active tokens.</td></tr>`
       : Array.from(tokenStore.entries()).map(([token, data]) => `
         <tr>
           <td><strong>${data.username}</strong></td>
           <td><span class="token-preview" title="${token}">${token.substring(0, 30)}...</span></td>
           <td style="font-size:0.85em; color:grey;">${data.createdAt.toLocaleString()}</td>
+          <td>${formatSessionRemaining(data)}</td>
         </tr>
       `).join('')
     
@@ -1216,19 +3031,49 @@ app.get('/config', (_req, res) => {
         <div class="table-wrap">
           <table class="striped">
             <thead>
-              <tr><th>Username</th><th>Token (Preview)</th><th>Created At</th></tr>
+              <tr><th>Username</th><th>Token (Preview)</th><th>Created At</th><th>Remaining</th></tr>
             </thead>
             <tbody>${tokenRows}</tbody>
           </table>
         </div>
       </section>
     `
+  } else if (authMode === 'jwt') {
+    const refreshRows = refreshTokenStore.size === 0
+      ? `<tr><td colspan="3" style="text-align:center; padding: 2rem;" class="muted">No active refresh tokens.</td></tr>`
+      : Array.from(refreshTokenStore.values()).map(data => `
+        <tr>
+          <td><strong>${data.username}</strong></td>
+          <td style="font-size:0.85em; color:grey;">${data.createdAt.toLocaleString()}</td>
+          <td style="font-size:0.85em; color:grey;">${data.expiresAt.toLocaleString()}</td>
+        </tr>
+      `).join('')
+    
+    sessionsTable = `
+      <section style="margin-top:2rem;">
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">
+          <h3>Active Refresh Tokens <span class="badge">${refreshTokenStore.size}</span></h3>
+        </div>
+        <div class="table-wrap">
+          <table class="striped">
+            <thead>
+              <tr><th>Username</th><th>Issued At</th><th>Expires At</th></tr>
+            </thead>
+            <tbody>${refreshRows}</tbody>
+          </table>
+        </div>
+      </section>
+    `
   }
   
   res.send(layout('Workshop Config', ``+`
     <article>
-      <header><strong>⚙️ Simulation Configuration</strong></header>
+      <header style="display:flex; justify-content:space-between; align-items:center;">
+        <strong>⚙️ Simulation Configuration${req.tenant.isDefault ? '' : ` <span class="badge">👥 Team ${escapeHtml(req.tenant.id)}</span>`}</strong>
+        ${req.configAdmin ? `<small>👤 ${escapeHtml(req.configAdmin)} · <a href="/config/logout">Log out</a></small>` : ''}
+      </header>
       <form action="/config" method="POST">
+        ${csrfField(req, res, 'config')}
         <div class="grid">
           <fieldset>
              <legend><strong>Authentication Method</strong></legend>
@@ -1242,38 +3087,165 @@ app.get('/config', (_req, res) => {
                 <strong>URL Token</strong>
                 <small style="display:block; color:grey">Advanced. Appends secure token to URLs. Requires Manual Correlation and Regular Expression Extractor.</small>
              </label>
+             <label>
+                <input type="radio" name="authMode" value="jwt" ${authMode === 'jwt' ? 'checked' : ''} />
+                <strong>JWT Bearer</strong>
+                <small style="display:block; color:grey">Expert. Signed JWT in the <code>Authorization: Bearer</code> header with expiry and refresh. Requires HTTP Header Manager, JSON Extractor and refresh logic.</small>
+             </label>
+             <div class="grid">
+                <label>Access Token (s) <input type="number" name="jwtAccessSeconds" value="${config.jwt.accessTokenSeconds}" min="1" /></label>
+                <label>Refresh Token (s) <input type="number" name="jwtRefreshSeconds" value="${config.jwt.refreshTokenSeconds}" min="1" /></label>
+             </div>
           </fieldset>
           
-          <fieldset>
-             <legend><strong>Artificial Latency (ms)</strong></legend>
-             <label>Login <input type="number" name="delay_login" value="${delays.login}" /></label>
-             <label>Room Details <input type="number" name="delay_rooms" value="${delays.rooms}" /></label>
-             <label>Reserve <input type="number" name="delay_reserve" value="${delays.reserve}" /></label>
-             <label>Search <input type="number" name="delay_search" value="${delays.search}" /></label>
-             <label>Checkout <input type="number" name="delay_checkout" value="${delays.checkout}" /></label>
-             <label>Menu <input type="number" name="delay_menu" value="${delays.menu}" /></label>
-             <label>Overview <input type="number" name="delay_overview" value="${delays.overview}" /></label>
-          </fieldset>
           <fieldset>
              <legend>Chaos</legend>
              <label>Error Rate (%) <input type="number" name="errorRate" value="${errorRate}" /></label>
+             <small style="display:block; color:grey">HTTP 500 on every route. Use the Chaos Rules below for other faults.</small>
+          </fieldset>
+          <fieldset>
+             <legend>Session Expiry (min)</legend>
+             <label>Absolute Timeout <input type="number" name="sessionAbsoluteMinutes" value="${config.sessions.absoluteMinutes}" min="0" /></label>
+             <label>Idle Timeout <input type="number" name="sessionIdleMinutes" value="${config.sessions.idleMinutes}" min="0" /></label>
+             <small style="display:block; color:grey">Cookie sessions and URL tokens. 0 = never expires.</small>
+          </fieldset>
+          <fieldset>
+             <legend>Anti-Forgery (CSRF)</legend>
+             <label>
+                <input type="checkbox" name="csrfEnabled" ${config.csrf.enabled ? 'checked' : ''} />
+                Require one-time <code>_csrf</code> field
+             </label>
+             <label>
+                <input type="checkbox" name="csrfCookie" ${config.csrf.cookie ? 'checked' : ''} />
+                Also require matching <code>XSRF-TOKEN</code> cookie
+             </label>
+             <small style="display:block; color:grey">Replayed form posts get HTTP 403 until the value is correlated per iteration.</small>
+          </fieldset>
+          <fieldset>
+             <legend>Diagnostic Headers</legend>
+             <label>
+                <input type="checkbox" name="diagnosticHeaders" ${config.diagnosticHeaders ? 'checked' : ''} />
+                Send <code>X-Backend-Node</code>, <code>X-Cache</code>, <code>X-Auth-Mode</code>
+             </label>
+             <small style="display:block; color:grey"><code>Server-Timing</code> (auth, queue, injected-delay, db, render, app) is always sent.</small>
+          </fieldset>
+          <fieldset>
+             <legend>Payment</legend>
+             <label>Hold Timeout (min) <input type="number" name="paymentHoldMinutes" value="${paymentHoldMinutes}" min="1" /></label>
+             <small style="display:block; color:grey">Unpaid bookings release their room after this time.</small>
+          </fieldset>
+          <fieldset>
+             <legend>Capacity</legend>
+             <label>Workers <input type="number" name="capacityWorkers" value="${config.capacity.workers}" min="0" /></label>
+             <label>Queue Size <input type="number" name="capacityQueueSize" value="${config.capacity.queueSize}" min="0" /></label>
+             <small style="display:block; color:grey">0 workers = unlimited. Route latency becomes service time spent holding a worker; a full queue answers HTTP 503.</small>
+             <small style="display:block; color:grey">
+               In flight: <strong>${pool.active}</strong>${config.capacity.workers > 0 ? ` / ${config.capacity.workers}` : ''} ·
+               Queued: <strong>${pool.queued}</strong> (peak ${pool.peakQueued}) ·
+               Served: ${pool.served} · Rejected (503): <strong>${pool.rejected}</strong>
+             </small>
           </fieldset>
         </div>
+        <fieldset>
+          <legend><strong>Artificial Latency</strong></legend>
+          <div class="table-wrap">
+            <table class="striped">
+              <thead>
+                <tr><th>Route</th><th>Distribution</th><th>Parameters</th><th>Expected Mean</th><th>Samples</th><th>Mean</th><th>p50</th><th>p95</th><th>p99</th><th>Max</th></tr>
+              </thead>
+              <tbody>${latencyRows}</tbody>
+            </table>
+          </div>
+          <small style="display:block; color:grey">
+            Sampled delays (ms) cover the last ${LATENCY_SAMPLE_LIMIT} requests per route and reset when its profile changes.
+            Every delayed response reports its value in the <code>X-Simulated-Delay</code> header; <a href="/config/latency">/config/latency</a> has the same numbers as JSON.
+          </small>
+        </fieldset>
+        <fieldset>
+          <legend><strong>Chaos Rules</strong></legend>
+          <div class="table-wrap">
+            <table class="striped">
+              <thead>
+                <tr><th>Fault</th><th>Probability (%)</th><th>Method</th><th>Path</th><th>Fired</th></tr>
+              </thead>
+              <tbody>${chaosRows}</tbody>
+            </table>
+          </div>
+          <small style="display:block; color:grey">
+            The first matching rule that fires wins. Path is exact (<code>/checkout</code>) or a prefix ending in <code>*</code> (<code>/api/v1/*</code>); empty matches every route except <code>/config</code>.
+            Choose <em>none</em> to remove a rule.
+          </small>
+        </fieldset>
+        <fieldset>
+          <legend><strong>Rate Limiting</strong></legend>
+          <div class="grid">
+            <label>
+              <input type="checkbox" name="rateLimitEnabled" ${config.rateLimit.enabled ? 'checked' : ''} />
+              Enable rate limiting (HTTP 429 with <code>Retry-After</code>)
+            </label>
+            <label>Limit per
+              <select name="rateLimitKeyBy">
+                ${rateLimit.KEYS.map(key => `<option value="${key}" ${config.rateLimit.keyBy === key ? 'selected' : ''}>${key}</option>`).join('')}
+              </select>
+            </label>
+          </div>
+          <div class="table-wrap">
+            <table class="striped">
+              <thead>
+                <tr><th>Method</th><th>Path</th><th>Requests</th><th>Per (s)</th><th>Throttled</th></tr>
+              </thead>
+              <tbody>${rateLimitRows}</tbody>
+            </table>
+          </div>
+          <small style="display:block; color:grey">
+            Token bucket per client: bursts up to the limit pass, then requests refill at limit / period. The first matching rule applies (paths as for Chaos Rules); clear Requests to remove a rule.
+            Total throttled: <strong>${throttled.total}</strong>.
+          </small>
+          ${topThrottled}
+        </fieldset>
+        <script>
+          // Only show the parameters of the selected distribution
+          document.querySelectorAll('select[data-latency]').forEach(select => {
+            const update = () => select.closest('tr').querySelectorAll('[data-types]').forEach(el => {
+              el.style.display = el.dataset.types.split(' ').includes(select.value) ? '' : 'none'
+            })
+            select.addEventListener('change', update)
+            update()
+          })
+        </script>
         <button type="submit">Update Configuration</button>
         <a href="/" role="button" class="secondary outline" style="width:100%; text-align:center; margin-top:0.5rem;">Back to App</a>
+        <a href="/docs" role="button" class="secondary outline" style="width:100%; text-align:center; margin-top:0.5rem;">API Docs (OpenAPI)</a>
+        <a href="/config/live" role="button" class="secondary outline" style="width:100%; text-align:center; margin-top:0.5rem;">📈 Live Dashboard</a>
+        ${req.tenant.isDefault && TENANTS_MODE !== 'off' ? `<a href="/config/tenants" role="button" class="secondary outline" style="width:100%; text-align:center; margin-top:0.5rem;">👥 Teams (${tenants.list().length - 1})</a>` : ''}
+        <a href="/config/test-plan.jmx" role="button" class="secondary outline" style="width:100%; text-align:center; margin-top:0.5rem;">⬇ JMeter Test Plan (${authMode} mode)</a>
+        <a href="/config/access-log.jtl" role="button" class="secondary outline" style="width:100%; text-align:center; margin-top:0.5rem;">⬇ Access Log as JMeter JTL</a>
+        <small style="display:block; color:grey; margin-top:0.25rem;">
+          Access log: <strong>${accessLog.format}</strong>${accessLog.destination ? ` → ${escapeHtml(accessLog.destination)}` : ''}.
+          The JTL holds the last ${tenantLogEntries().length} requests (up to 10000 on the whole server), without <code>/config</code> and <code>/metrics</code>.
+        </small>
       </form>
     </article>
+
+    ${presetPanel}
+
+    ${environmentPanel}
+
+    ${dataPanel}
+
+    ${scenarioPanel}
     
     ${sessionsTable}
     
     <section style="margin-top:2rem;">
       <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">
         <h3>All Bookings <span class="badge">${reservations.length}</span></h3>
+        <small style="color:grey">Storage: <strong>${storage.name}</strong>${storage.durable ? ` (${escapeHtml(storage.location)})` : ' (lost on restart, oldest dropped after 2000)'}</small>
       </div>
       <div class="table-wrap">
         <table class="striped">
           <thead>
-            <tr><th>ID</th><th>Guest</th><th>Type</th><th>Check-In</th><th>Nights</th><th>Booked At</th><th>User</th></tr>
+            <tr><th>ID</th><th>Guest</th><th>Type</th><th>Room</th><th>Check-In</th><th>Nights</th><th>Booked At</th><th>Status</th><th>User</th></tr>
           </thead>
           <tbody>${reservationRows}</tbody>
         </table>
@@ -1282,44 +3254,772 @@ app.get('/config', (_req, res) => {
   `, { user: null }))
 })
 
-app.post('/config', (req, res) => {
-  const previousAuthMode = config.authMode
-  
-  config.delays.login = Number(req.body.delay_login) || 0
-  config.delays.reserve = Number(req.body.delay_reserve) || 0
-  config.delays.rooms = Number(req.body.delay_rooms) || 0
-  config.delays.search = Number(req.body.delay_search) || 0
-  config.delays.checkout = Number(req.body.delay_checkout) || 0
-  config.delays.menu = Number(req.body.delay_menu) || 0
-  config.delays.overview = Number(req.body.delay_overview) || 0
-  config.errorRate = Number(req.body.errorRate) || 0
-  config.authMode = req.body.authMode || 'cookie'
-  
+app.get('/config/live', (req, res) => {
+  const chart = (id, title) => `
+    <article style="margin:0;">
+      <header style="display:flex; justify-content:space-between;"><strong>${title}</strong><strong id="${id}-value">–</strong></header>
+      <canvas id="${id}" style="width:100%; height:180px;"></canvas>
+    </article>`
+  res.send(layout('Live Dashboard', ``+`
+    <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1rem;">
+      <h2 style="margin:0;">📈 Live Dashboard</h2>
+      <span class="badge" id="live-status">Connecting…</span>
+    </div>
+    <p style="font-size:0.9em; color: var(--pico-muted-color);">
+      The server's view of the traffic, updated every second for the last 5 minutes. Requests to <code>/config</code> and <code>/metrics</code> are left out;
+      4xx, 5xx and aborted responses count as errors. Latency percentiles cover the last ${LATENCY_WINDOW_SECONDS} seconds.
+    </p>
+    <div class="grid">
+      ${chart('chart-rps', 'Requests / sec')}
+      ${chart('chart-errors', 'Error rate %')}
+    </div>
+    <article>
+      <header><strong>p95 latency per route (ms)</strong></header>
+      <canvas id="chart-latency" style="width:100%; height:240px;"></canvas>
+      <div class="table-wrap">
+        <table class="striped">
+          <thead><tr><th></th><th>Route</th><th>Requests (${LATENCY_WINDOW_SECONDS}s)</th><th>p50 ms</th><th>p95 ms</th></tr></thead>
+          <tbody id="latency-rows"><tr><td colspan="5" style="color:grey">Waiting for traffic…</td></tr></tbody>
+        </table>
+      </div>
+    </article>
+    <div class="grid">
+      ${chart('chart-sessions', 'Active sessions')}
+      ${chart('chart-bookings', 'Bookings / min')}
+    </div>
+    <a href="/config" role="button" class="secondary outline" style="margin-top:1rem;">Back to Config</a>
+    <script src="/public/live-dashboard.js"></script>
+  `, { user: null }))
+})
+
+app.get('/config/live/events', (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' })
+  res.flushHeaders()
+  // Backfill so a freshly opened dashboard starts with the recent past
+  res.write(`event: history\ndata: ${JSON.stringify(liveStats.getHistory())}\n\n`)
+  liveClients.add(res)
+  req.on('close', AsyncResource.bind(() => liveClients.delete(res)))
+})
+
+// Server-side view of the recent requests in JMeter's CSV result format
+// Recent requests of the current tenant, so a team's JTL only holds that team's test run
+const tenantLogEntries = () => {
+  const { id, prefix } = tenants.current()
+  return accessLog.getRecent().filter(entry => entry.tenant === id).map(entry => ({ entry, path: entry.url.slice(prefix.length) }))
+}
+
+app.get('/config/access-log.jtl', (req, res) => {
+  const entries = tenantLogEntries().filter(({ path }) => !path.startsWith('/config') && !path.startsWith('/metrics')).map(({ entry }) => entry)
+  res.attachment(`hotel-tad-${new Date().toISOString().replace(/[:.]/g, '-')}.jtl`)
+  res.type('text/csv')
+  res.send(toJtl(entries, chaos.FAULTS))
+})
+
+app.get('/config/latency', (req, res) => {
+  res.json(getLatencyReport())
+})
+
+app.get('/config/scenario', (req, res) => {
+  res.json(scenarioRunner.getStatus())
+})
+
+app.post('/config/scenario', requireCsrf('scenario'), (req, res) => {
+  const action = req.body.action
+  if (action === 'start') {
+    scenarioDraft.script = String(req.body.script || '')
+    try {
+      scenarioRunner.start(parseScenario(scenarioDraft.script, Object.keys(SCENARIO_SETTINGS)))
+    } catch (err) {
+      return res.status(400).send(layout('Scenario Error', ``+`
+        <article style="border-color: red;">
+          <h3>❌ Scenario Not Started</h3>
+          <p>${escapeHtml(err.message)}</p>
+          <a href="/config" role="button" class="secondary">Back to Config</a>
+        </article>
+      `, { user: null }))
+    }
+  }
+  else if (action === 'pause') scenarioRunner.pause()
+  else if (action === 'resume') scenarioRunner.resume()
+  else if (action === 'abort') scenarioRunner.abort()
+  res.redirect('/config')
+})
+
+// Swaps in a complete, normalised config (see lib/settings.js) and resets whatever depended on the old values.
+// Returns true when the auth mode changed, which logs out everybody.
+const replaceConfig = async (next) => {
+  const previous = JSON.parse(JSON.stringify(config))
+  for (const route of Object.keys(config.delays)) {
+    // Samples drawn from the old profile would skew the new percentiles
+    if (JSON.stringify(next.delays[route]) !== JSON.stringify(previous.delays[route])) latencySamples[route] = []
+  }
+  if (JSON.stringify(next.chaosRules) !== JSON.stringify(previous.chaosRules)) chaosFired.length = 0
+  if (JSON.stringify(next.rateLimit) !== JSON.stringify(previous.rateLimit)) rateLimiter.reset()
+  if (JSON.stringify(next.capacity) !== JSON.stringify(previous.capacity)) workerPool.resetStats()
+  Object.assign(config, next)
+  workerPool.drain()
+
   console.log('--- CONFIG UPDATED ---')
   console.log(config)
-  
-  // If auth mode changed, clear everything and redirect to login
-  if (previousAuthMode !== config.authMode) {
-    console.log(`Auth mode changed from ${previousAuthMode} to ${config.authMode} - logging out all users`)
+  await storage.saveConfig(config)
+
+  if (previous.authMode === config.authMode) return false
+  console.log(`Auth mode changed from ${previous.authMode} to ${config.authMode} - logging out all users`)
+  clearAllTokens()
+  clearAllCookieSessions()
+  clearAllRefreshTokens()
+  return true
+}
+
+const authModeChangedPage = () => layout('Configuration Updated', ``+`
+  <article>
+    <header><strong>✅ Configuration Saved</strong></header>
+    <p>Authentication mode has been changed to <strong>${config.authMode.toUpperCase()}</strong>.</p>
+    <p>All users have been logged out. Please log in again with the new authentication method.</p>
+    <div style="margin-top:1.5rem;">
+      <a href="/" role="button">Go to Login</a>
+      <a href="/config" role="button" class="secondary outline">Back to Config</a>
+    </div>
+  </article>
+`, { user: null })
+
+// Presets are shared by every hotel, so teams may only apply and export them
+const PRESETS_READ_ONLY = 'Presets are shared by all teams: only the main hotel can save, import or delete them.'
+const presetsForbidden = (res) => res.status(403).json({ error: 'Forbidden', message: PRESETS_READ_ONLY })
+
+const presetError = (res, message, status = 400) => res.status(status).send(layout('Preset Error', ``+`
+  <article style="border-color: red;">
+    <h3>❌ Preset Not Saved</h3>
+    <p>${escapeHtml(message)}</p>
+    <a href="/config" role="button" class="secondary">Back to Config</a>
+  </article>
+`, { user: null }))
+
+app.post('/config/presets', requireCsrf('presets'), async (req, res) => {
+  const { action, name } = req.body
+  if (action !== 'apply' && !req.tenant.isDefault) return presetError(res, PRESETS_READ_ONLY, 403)
+  if (action === 'apply' || action === 'delete') {
+    const preset = presets.get(name)
+    if (!preset) return presetError(res, `There is no preset called "${name}".`)
+    if (action === 'delete') {
+      await deletePreset(name)
+      return res.redirect('/config')
+    }
+    console.log(`💾 Applying preset "${name}"`)
+    if (await replaceConfig(settingsFromPreset(preset.settings))) {
+      res.clearCookie('username')
+      return res.send(authModeChangedPage())
+    }
+    return res.redirect('/config')
+  }
+
+  try {
+    if (action === 'save') {
+      await savePreset(buildPreset(name, req.body.description, JSON.parse(JSON.stringify(config))))
+    } else if (action === 'import') {
+      let doc
+      try {
+        doc = JSON.parse(String(req.body.preset || ''))
+      } catch (err) {
+        throw new Error(`Cannot parse preset: ${err.message}`)
+      }
+      await savePreset(buildPreset(doc.name, doc.description, doc.settings))
+    }
+  } catch (err) {
+    return presetError(res, err.message)
+  }
+  res.redirect('/config')
+})
+
+// --- CONFIG JSON API ---
+// For scripts such as a JMeter setUp Thread Group (admin only, e.g. HTTP Basic auth)
+const settingsError = (res, err) => res.status(400).json({ error: 'Invalid Settings', message: err.message })
+
+// Applies a complete config and answers with it; loggedOut tells whether the auth mode changed
+const sendReplacedConfig = async (res, next) => {
+  const loggedOut = await replaceConfig(next)
+  res.json({ config, loggedOut })
+}
+
+app.get('/config/settings', (req, res) => {
+  res.json(config)
+})
+
+// Partial update: only the given settings (and group keys) change
+app.patch('/config/settings', async (req, res) => {
+  let next
+  try {
+    next = normalizeSettings(mergeSettings(config, req.body), DEFAULT_CONFIG)
+  } catch (err) {
+    return settingsError(res, err)
+  }
+  await sendReplacedConfig(res, next)
+})
+
+// Known state: defaults plus the given settings, like applying a preset
+app.put('/config/settings', async (req, res) => {
+  let next
+  try {
+    next = settingsFromPreset(req.body)
+  } catch (err) {
+    return settingsError(res, err)
+  }
+  await sendReplacedConfig(res, next)
+})
+
+app.get('/config/presets', (req, res) => {
+  res.json([...presets.values()].map(presetSummary))
+})
+
+// Export; ?download=1 saves it as a file
+app.get('/config/presets/:name', (req, res) => {
+  const preset = presets.get(req.params.name)
+  if (!preset) return res.status(404).json({ error: 'Preset Not Found', message: `There is no preset called "${req.params.name}".` })
+  if (req.query.download) res.attachment(`${preset.name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`)
+  res.type('json').send(JSON.stringify({ name: preset.name, description: preset.description, settings: preset.settings }, null, 2))
+})
+
+// Save or import; the body is an exported preset or just its settings
+app.put('/config/presets/:name', async (req, res) => {
+  if (!req.tenant.isDefault) return presetsForbidden(res)
+  const body = req.body || {}
+  let preset
+  try {
+    preset = buildPreset(req.params.name, body.description, body.settings || body)
+  } catch (err) {
+    return settingsError(res, err)
+  }
+  await savePreset(preset)
+  res.json(presetSummary(presets.get(preset.name)))
+})
+
+app.post('/config/presets/:name/apply', requireJsonBody, async (req, res) => {
+  const preset = presets.get(req.params.name)
+  if (!preset) return res.status(404).json({ error: 'Preset Not Found', message: `There is no preset called "${req.params.name}".` })
+  console.log(`💾 Applying preset "${preset.name}"`)
+  await sendReplacedConfig(res, settingsFromPreset(preset.settings))
+})
+
+app.delete('/config/presets/:name', async (req, res) => {
+  if (!req.tenant.isDefault) return presetsForbidden(res)
+  const preset = presets.get(req.params.name)
+  if (!preset) return res.status(404).json({ error: 'Preset Not Found', message: `There is no preset called "${req.params.name}".` })
+  if (preset.builtIn) return res.status(400).json({ error: 'Built-in Preset', message: 'Bundled presets can\'t be deleted.' })
+  await deletePreset(preset.name)
+  res.status(204).end()
+})
+
+// --- RESET & SEED ROUTES ---
+const seedFlag = (value) => value === true || value === 'on' || value === 'true'
+
+const seedResultPage = (result, cleared) => layout('Seed Data', ``+`
+  <article>
+    <header><strong>🌱 Seed Data Created</strong></header>
+    ${cleared ? `<p>Reset first: removed ${cleared.reservations} reservations and logged everybody out.</p>` : ''}
+    <p>
+      ${result.created} paid bookings from <strong>${result.from}</strong> to <strong>${result.to}</strong> (${result.days} nights),
+      seed <code>${escapeHtml(result.seed)}</code>. Use the same seed and dates after a reset to get exactly the same bookings.
+    </p>
+    <div class="table-wrap">
+      <table class="striped">
+        <thead><tr><th>Room Type</th><th>Bookings</th><th>Room Nights</th><th>Occupancy</th></tr></thead>
+        <tbody>
+          ${result.rooms.map(room => `<tr><td>${escapeHtml(room.room)}</td><td>${room.bookings}</td><td>${room.roomNights}</td><td>${room.occupancy}%</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+    <a href="/config" role="button">Back to Config</a>
+  </article>
+`, { user: null })
+
+// Form actions from the /config panel
+app.post('/config/environment', requireCsrf('environment'), async (req, res) => {
+  const reset = req.body.action === 'reset' || seedFlag(req.body.reset)
+  let options = null
+  if (req.body.action === 'seed') {
+    const normalized = normalizeSeedOptions(req.body, localDate())
+    if (normalized.error) {
+      return res.status(400).send(layout('Seed Error', ``+`
+        <article style="border-color: red;">
+          <h3>❌ Seed Data Not Created</h3>
+          <p>${escapeHtml(normalized.error)}</p>
+          <a href="/config" role="button" class="secondary">Back to Config</a>
+        </article>
+      `, { user: null }))
+    }
+    options = normalized.options
+  }
+
+  const cleared = reset ? await resetEnvironment() : null
+  if (reset) res.clearCookie('username')
+  if (!options) return res.redirect('/config')
+  res.send(seedResultPage(await seedReservations(options), cleared))
+})
+
+// JSON API, e.g. from a JMeter setUp Thread Group before every run
+app.post('/config/reset', requireJsonBody, async (req, res) => {
+  res.json({ cleared: await resetEnvironment() })
+})
+
+app.post('/config/seed', requireJsonBody, async (req, res) => {
+  const body = req.body || {}
+  const { options, error } = normalizeSeedOptions(body, localDate())
+  if (error) return res.status(400).json({ error: 'Invalid Seed Options', message: error })
+  const cleared = seedFlag(body.reset) ? await resetEnvironment() : null
+  res.status(201).json({ ...await seedReservations(options), cleared })
+})
+
+// --- TENANT OVERVIEW ---
+// The instructor's view of every team on the main hotel's /config/tenants: settings that shape
+// the test (auth mode, errors, chaos, scenario), bookings, sessions and traffic of the last seconds.
+// The page is for browsers, Accept: application/json gets the same numbers as JSON.
+const TENANT_TRAFFIC_SECONDS = 10
+
+const tenantSummary = (tenant) => tenants.run(tenant, () => {
+  const recent = liveStats.getHistory().slice(-TENANT_TRAFFIC_SECONDS)
+  const requests = recent.reduce((sum, point) => sum + point.rps, 0)
+  const errors = recent.reduce((sum, point) => sum + point.rps * point.errorRate / 100, 0)
+  return {
+    id: tenant.id,
+    path: `${tenant.prefix}/`,
+    createdAt: tenant.createdAt,
+    authMode: config.authMode,
+    errorRate: config.errorRate,
+    chaosRules: config.chaosRules.length,
+    scenario: scenarioRunner.getStatus().state,
+    reservations: reservations.length,
+    paid: reservations.filter(r => r.status === 'PAID').length,
+    sessions: cookieSessions.size + tokenStore.size + refreshTokenStore.size,
+    requestsPerSecond: Math.round(requests / Math.max(1, recent.length) * 10) / 10,
+    errorPercent: requests ? Math.round(errors / requests * 1000) / 10 : 0
+  }
+})
+
+// Returns { tenant } (new or existing) or { error }
+const openTenant = (id) => {
+  if (TENANTS_MODE === 'off') return { error: 'Workshop mode is off (TENANTS=off).' }
+  if (!isValidTenantId(id)) return { error: TENANT_NAME_RULE }
+  const tenant = tenants.open(id)
+  return tenant ? { tenant } : { error: `All ${tenants.max} team environments are in use. Delete one first.` }
+}
+
+// Stops what still runs for the team, then forgets its state
+const removeTenant = (tenant) => {
+  tenants.run(tenant, () => {
+    scenarioRunner.abort()
+    for (const client of liveClients) client.end()
+  })
+  tenants.remove(tenant.id)
+}
+
+const tenantError = (res, message) => res.status(400).send(layout('Team Error', ``+`
+  <article style="border-color: red;">
+    <h3>❌ Team Not Changed</h3>
+    <p>${escapeHtml(message)}</p>
+    <a href="/config/tenants" role="button" class="secondary">Back to Teams</a>
+  </article>
+`, { user: null }))
+
+// Teams only exist on the main hotel
+app.use('/config/tenants', (req, res, next) => {
+  if (req.tenant.isDefault) return next()
+  res.status(404).json({ error: 'Not Found', message: 'The team overview is part of the main hotel: /config/tenants.' })
+})
+
+app.get('/config/tenants', (req, res) => {
+  const summaries = tenants.list().map(tenantSummary)
+  if (req.accepts(['html', 'json']) === 'json') return res.json({ mode: TENANTS_MODE, max: tenants.max, tenants: summaries })
+
+  const actionButton = (action, id, label, cls = '') => `
+    <form action="/config/tenants" method="POST" style="margin:0;">
+      ${csrfField(req, res, 'tenants')}
+      <input type="hidden" name="action" value="${action}" />
+      <input type="hidden" name="name" value="${id}" />
+      <button type="submit" class="${cls}" style="padding:.25rem .75rem; font-size:.85em;">${label}</button>
+    </form>`
+  const rows = summaries.map(summary => `
+    <tr>
+      <td><strong>${summary.id === tenants.defaultTenant.id ? 'Main hotel' : escapeHtml(summary.id)}</strong><br><small><a href="${summary.path}">${summary.path}</a></small></td>
+      <td>${summary.authMode}</td>
+      <td>${summary.errorRate}%${summary.chaosRules ? ` + ${summary.chaosRules} chaos rule(s)` : ''}</td>
+      <td>${summary.scenario}</td>
+      <td>${summary.reservations} (${summary.paid} paid)</td>
+      <td>${summary.sessions}</td>
+      <td>${summary.requestsPerSecond}</td>
+      <td style="color:${summary.errorPercent > 0 ? 'red' : 'inherit'}">${summary.errorPercent}%</td>
+      <td style="display:flex; gap:.25rem;">
+        <a href="${summary.path}config" role="button" class="secondary outline" style="padding:.25rem .75rem; font-size:.85em; width:auto;">Config</a>
+        ${actionButton('reset', summary.id, 'Reset', 'secondary')}
+        ${summary.id === tenants.defaultTenant.id ? '' : actionButton('delete', summary.id, 'Delete', 'secondary')}
+      </td>
+    </tr>`).join('')
+
+  res.send(layout('Teams', ``+`
+    <article>
+      <header style="display:flex; justify-content:space-between; align-items:center;">
+        <strong>👥 Teams (Workshop Mode)</strong>
+        <small>${summaries.length - 1} of ${tenants.max} teams · TENANTS=${TENANTS_MODE}</small>
+      </header>
+      <p style="font-size:0.9em; color: var(--pico-muted-color);">
+        Every team has its own hotel under <code>/t/&lt;team&gt;/</code> with its own configuration, bookings, sessions and tokens,
+        starting from the default settings; team data is kept in memory only. ${TENANTS_MODE === 'auto' ? 'A team is created the first time somebody opens its URL.' : TENANTS_MODE === 'manual' ? 'Teams are only created here.' : 'Workshop mode is off (TENANTS=off).'}
+        Teams configure their hotel on their own <code>/config</code> (admin / password). Traffic covers the last ${TENANT_TRAFFIC_SECONDS} seconds.
+      </p>
+      <div class="table-wrap">
+        <table class="striped">
+          <thead><tr><th>Team</th><th>Auth</th><th>Errors</th><th>Scenario</th><th>Bookings</th><th>Sessions</th><th>Req/s</th><th>Failed</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${TENANTS_MODE === 'off' ? '' : `
+      <form action="/config/tenants" method="POST" style="display:flex; gap:.5rem; align-items:flex-end;">
+        ${csrfField(req, res, 'tenants')}
+        <input type="hidden" name="action" value="create" />
+        <label style="flex:1; margin:0;">New team
+          <input type="text" name="name" placeholder="red" pattern="[a-z0-9][a-z0-9\\-]{0,31}" required style="margin:0;" />
+        </label>
+        <button type="submit" style="width:auto;">Create Team</button>
+      </form>`}
+      <a href="/config/tenants" role="button" class="secondary outline" style="margin-top:1rem;">Refresh</a>
+      <a href="/config" role="button" class="secondary outline" style="margin-top:0.5rem;">Back to Config</a>
+    </article>
+  `, { user: null }))
+})
+
+// Form actions from the overview: create, reset or delete a team
+app.post('/config/tenants', requireCsrf('tenants'), async (req, res) => {
+  const { action } = req.body
+  const name = String(req.body.name || '').trim().toLowerCase()
+  if (action === 'create') {
+    const { error } = openTenant(name)
+    if (error) return tenantError(res, error)
+    return res.redirect('/config/tenants')
+  }
+
+  const tenant = tenants.get(name)
+  if (!tenant) return tenantError(res, `There is no team called "${name}".`)
+  if (action === 'reset') await tenants.run(tenant, resetEnvironment)
+  else if (action === 'delete') {
+    if (tenant.isDefault) return tenantError(res, 'The main hotel can\'t be deleted.')
+    removeTenant(tenant)
+  }
+  res.redirect('/config/tenants')
+})
+
+// JSON API for scripted workshop setup
+app.put('/config/tenants/:name', (req, res) => {
+  const existed = !!tenants.get(req.params.name)
+  const { tenant, error } = openTenant(req.params.name)
+  if (error) return res.status(400).json({ error: 'Invalid Team', message: error })
+  res.status(existed ? 200 : 201).json(tenantSummary(tenant))
+})
+
+app.post('/config/tenants/:name/reset', requireJsonBody, async (req, res) => {
+  const tenant = tenants.get(req.params.name)
+  if (!tenant) return res.status(404).json({ error: 'Team Not Found', message: `There is no team called "${req.params.name}".` })
+  res.json({ cleared: await tenants.run(tenant, resetEnvironment) })
+})
+
+app.delete('/config/tenants/:name', (req, res) => {
+  const tenant = tenants.get(req.params.name)
+  if (!tenant) return res.status(404).json({ error: 'Team Not Found', message: `There is no team called "${req.params.name}".` })
+  if (tenant.isDefault) return res.status(400).json({ error: 'Main Hotel', message: 'The main hotel can\'t be deleted.' })
+  removeTenant(tenant)
+  res.status(204).end()
+})
+
+// --- TEST DATA DOWNLOADS ---
+// CSV files for JMeter's CSV Data Set Config, see lib/testdata.js
+// ?count=100&invalid=10&seed=lab-2 (&method=creditcard|paypal|ideal for payments)
+app.get('/config/data/:name.csv', (req, res) => {
+  if (!DATA_FILES[req.params.name]) {
+    return res.status(404).json({ error: 'Data File Not Found', message: `Available: ${Object.keys(DATA_FILES).map(name => `${name}.csv`).join(', ')}.` })
+  }
+  const { options, error } = normalizeDataOptions(req.query)
+  if (error) return res.status(400).json({ error: 'Invalid Data Options', message: error })
+  const csv = generateDataFile(req.params.name, options, new Date(), { roomTypes, idealBanks: Object.keys(IDEAL_BANKS) })
+  res.attachment(`${req.params.name}.csv`)
+  res.set('X-Data-Seed', options.seed)
+  res.type('text/csv').send(csv)
+})
+
+// --- JMETER TEST PLAN ---
+// Reference solution for the current config, see lib/jmx.js. Books the room type with the most rooms.
+app.get('/config/test-plan.jmx', (req, res) => {
+  const room = [...roomTypes].sort((a, b) => getInventory(b.room_name) - getInventory(a.room_name))[0]
+  const [host, port] = req.get('host').split(':')
+  const jmx = buildTestPlan({
+    version,
+    authMode: config.authMode,
+    csrf: config.csrf.enabled,
+    protocol: req.protocol,
+    host: req.hostname || host,
+    port: port || (req.protocol === 'https' ? 443 : 80),
+    basePath: req.tenant.prefix,
+    room: room.room_name,
+    nights: (room.pricing && room.pricing.minimum_stay_nights) || 1,
+    usersUrl: `${req.protocol}://${req.get('host')}${req.tenant.prefix}/config/data/users.csv?count=100`
+  })
+  res.attachment(`hotel-tad-${req.tenant.isDefault ? '' : `${req.tenant.id}-`}${config.authMode}.jmx`)
+  res.type('application/xml').send(jmx)
+})
+
+app.post('/config', requireCsrf('config'), async (req, res) => {
+  const loggedOut = await replaceConfig(normalizeSettings({
+    delays: Object.fromEntries(Object.keys(config.delays).map(route => [route, readLatencyProfile(req.body, route)])),
+    errorRate: req.body.errorRate,
+    chaosRules: Object.values(req.body.chaosRules || {}),
+    rateLimit: {
+      enabled: req.body.rateLimitEnabled,
+      keyBy: req.body.rateLimitKeyBy,
+      rules: Object.values(req.body.rateLimitRules || {})
+    },
+    paymentHoldMinutes: req.body.paymentHoldMinutes,
+    capacity: { workers: req.body.capacityWorkers, queueSize: req.body.capacityQueueSize },
+    jwt: { accessTokenSeconds: req.body.jwtAccessSeconds, refreshTokenSeconds: req.body.jwtRefreshSeconds },
+    csrf: { enabled: req.body.csrfEnabled, cookie: req.body.csrfCookie },
+    sessions: { absoluteMinutes: req.body.sessionAbsoluteMinutes, idleMinutes: req.body.sessionIdleMinutes },
+    diagnosticHeaders: req.body.diagnosticHeaders,
+    authMode: ['cookie', 'token', 'jwt'].includes(req.body.authMode) ? req.body.authMode : 'cookie'
+  }, DEFAULT_CONFIG))
+
+  // If auth mode changed, everybody was logged out: send them back to the login page
+  if (loggedOut) {
     res.clearCookie('username')
-    clearAllTokens()
-    clearAllCookieSessions()
-    return res.send(layout('Configuration Updated', ``+`
-      <article>
-        <header><strong>✅ Configuration Saved</strong></header>
-        <p>Authentication mode has been changed to <strong>${config.authMode.toUpperCase()}</strong>.</p>
-        <p>All users have been logged out. Please log in again with the new authentication method.</p>
-        <div style="margin-top:1.5rem;">
-          <a href="/" role="button">Go to Login</a>
-          <a href="/config" role="button" class="secondary outline">Back to Config</a>
-        </div>
-      </article>
-    `, { user: null }))
+    return res.send(authModeChangedPage())
   }
   
   res.redirect('/config')
 })
 
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`App running on port ${PORT}`);
-});
+// --- 6. JSON API (/api/v1) ---
+// Mirrors the HTML routes for JSON Extractor / JSON Assertion exercises.
+// Uses the same reservations store, config.delays, chaos middleware and auth modes.
+const api = express.Router()
+
+const apiError = (res, status, error, message) => res.status(status).json({ error, message })
+
+// Protected endpoints answer 401 instead of redirecting to the login page
+const requireApiUser = (req, res, next) => {
+  if (!req.user) {
+    const messages = {
+      cookie: 'Missing or invalid session cookie.',
+      token: 'Missing or invalid token.',
+      jwt: 'Missing Authorization: Bearer header.'
+    }
+    if (config.authMode === 'jwt') res.set('WWW-Authenticate', 'Bearer')
+    return apiError(res, 401, 'Unauthorized', messages[config.authMode])
+  }
+  next()
+}
+
+// Finds a room type by room_id or room_name
+const findRoom = (idOrName) => roomTypes.find(r => r.room_id === idOrName || r.room_name === idOrName)
+
+const toApiRoom = (room) => ({
+  room_id: room.room_id,
+  room_name: room.room_name,
+  category: room.category,
+  description: room.description,
+  max_guests: room.occupancy.max_guests,
+  base_price_per_night: room.pricing.base_price_per_night,
+  currency: room.pricing.currency,
+  minimum_stay_nights: room.pricing.minimum_stay_nights || 1,
+  total_rooms_of_type: getInventory(room.room_name)
+})
+
+const toApiReservation = (r) => ({
+  id: r.id,
+  guest: r.guest,
+  room: r.room,
+  roomNumber: r.roomNumber,
+  checkIn: r.checkIn,
+  nights: r.nights,
+  guests: r.guests || 1,
+  pets: r.pets || 0,
+  status: r.status,
+  bookedBy: r.bookedBy,
+  bookedAt: r.date,
+  holdExpiresAt: r.status === 'PENDING_PAYMENT' ? new Date(r.holdExpiresAt).toISOString() : null,
+  confirmationId: r.confirmationId || null,
+  transactionId: r.transactionId || null,
+  amountPaid: r.amountPaid === undefined ? null : r.amountPaid,
+  priceDifference: r.priceDifference === undefined ? null : r.priceDifference
+})
+
+api.post('/login', async (req, res) => {
+  await injectLatency(res, 'login')
+  const { username, password } = req.body || {}
+
+  if (!checkCredentials(username, password)) {
+    return apiError(res, 401, 'Invalid Credentials', 'Valid credentials follow the pattern user<number> / Password<same-number>.')
+  }
+
+  if (config.authMode === 'token') {
+    const token = generateToken(username)
+    storeToken(token, username)
+    return res.json({ username, authMode: config.authMode, token })
+  }
+
+  if (config.authMode === 'jwt') {
+    return res.json({ username, authMode: config.authMode, ...issueJwtTokens(username) })
+  }
+
+  res.cookie('username', signCookieUser(username), { httpOnly: true })
+  startCookieSession(username)
+  res.json({ username, authMode: config.authMode })
+})
+
+api.post('/logout', requireApiUser, (req, res) => {
+  removeCookieSession(req.user)
+  res.clearCookie('username')
+  if (config.authMode === 'token' && req.token) invalidateToken(req.token)
+  if (config.authMode === 'jwt') revokeRefreshTokens(req.user)
+  res.json({ username: req.user, loggedOut: true })
+})
+
+// Exchanges a refresh token for a new access token (and a new refresh token)
+api.post('/token/refresh', async (req, res) => {
+  await injectLatency(res, 'login')
+  if (config.authMode !== 'jwt') {
+    return apiError(res, 400, 'Wrong Auth Mode', `Token refresh is only available in JWT mode (current mode: ${config.authMode}).`)
+  }
+  const { refreshToken } = req.body || {}
+  const tokens = refreshToken ? refreshJwtTokens(refreshToken) : null
+  if (!tokens) return apiError(res, 401, 'Invalid Refresh Token', 'The refresh token is unknown, already used or expired. Log in again.')
+  res.json(tokens)
+})
+
+api.get('/rooms', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'rooms')
+  res.json({ count: roomTypes.length, rooms: roomTypes.map(toApiRoom) })
+})
+
+api.get('/rooms/:id', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'rooms')
+  const room = roomTypes.find(r => r.room_id === req.params.id)
+  if (!room) return apiError(res, 404, 'Room Not Found', `No room with id ${req.params.id}.`)
+  res.json(room)
+})
+
+api.get('/search', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'search')
+  const { checkIn, checkOut } = req.query
+  if ((checkIn && !isValidDate(checkIn)) || (checkOut && !isValidDate(checkOut))) {
+    return apiError(res, 400, 'Invalid Date Format', 'Dates must be in format YYYY-MM-DD (e.g., 2026-01-23).')
+  }
+  const rooms = searchRooms(req.query)
+  res.json({ filters: req.query, count: rooms.length, rooms: rooms.map(toApiRoom) })
+})
+
+// Nightly occupancy for a room type, e.g. /api/v1/availability?room=EXE-STE-01&checkIn=2026-05-01&nights=2
+api.get('/availability', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'search')
+  const room = findRoom(req.query.room)
+  if (!room) return apiError(res, 404, 'Room Not Found', 'Pass a valid room_id or room_name as ?room=.')
+
+  const inventory = getInventory(room.room_name)
+  const result = { room: room.room_name, inventory, soldOutDates: getSoldOutDates(room.room_name) }
+
+  if (req.query.checkIn) {
+    const nights = req.query.nights === undefined ? 1 : Number(req.query.nights)
+    if (!isValidDate(req.query.checkIn)) {
+      return apiError(res, 400, 'Invalid Date Format', 'Check-in date must be in format YYYY-MM-DD (e.g., 2026-01-23).')
+    }
+    if (!pricing.isValidNights(nights)) {
+      return apiError(res, 400, 'Invalid Nights', `Nights must be a whole number between 1 and ${pricing.MAX_STAY_NIGHTS}.`)
+    }
+    const occupancy = getNightlyOccupancy(room.room_name)
+    result.checkIn = req.query.checkIn
+    result.nights = nights
+    result.available = isRoomAvailable(room.room_name, req.query.checkIn, nights)
+    result.perNight = getStayNights(req.query.checkIn, nights).map(date => ({
+      date,
+      booked: occupancy[date] || 0,
+      free: Math.max(0, inventory - (occupancy[date] || 0))
+    }))
+  }
+
+  res.json(result)
+})
+
+api.get('/reservations', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'overview')
+  const userReservations = canManageAllBookings(req) ? reservations : reservations.filter(r => r.bookedBy === req.user)
+  res.json({ count: userReservations.length, reservations: userReservations.map(toApiReservation) })
+})
+
+api.get('/reservations/:id', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'overview')
+  const reservation = findOwnReservation(req)
+  if (!reservation) return apiError(res, 404, 'Booking Not Found', 'This booking does not exist or belongs to another guest.')
+  res.json(toApiReservation(reservation))
+})
+
+api.post('/reservations', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'reserve')
+  const body = req.body || {}
+  const result = await createReservation(req.user, { guest: req.user, ...body })
+  if (!result.reservation) return apiError(res, result.status, result.title, result.message)
+
+  const quote = pricing.quoteStay(getRoomType(result.reservation.room), result.reservation)
+  res.status(201)
+    .location(`/api/v1/reservations/${result.reservation.id}`)
+    .json({ reservation: toApiReservation(result.reservation), quote })
+})
+
+api.post('/checkout', requireApiUser, async (req, res) => {
+  await injectLatency(res, 'checkout')
+  const result = await payReservation(req.user, req.body || {})
+  if (!result.reservation) {
+    return res.status(result.status).json({ error: result.title, message: result.message, hint: result.hint || undefined })
+  }
+  const { reservation, quote } = result
+  res.json({
+    confirmationId: reservation.confirmationId,
+    transactionId: reservation.transactionId,
+    amountPaid: quote.total,
+    quote,
+    reservation: toApiReservation(reservation)
+  })
+})
+
+api.use((req, res) => apiError(res, 404, 'Not Found', `No API endpoint ${req.method} ${req.originalUrl}.`))
+
+app.use('/api/v1', api)
+
+// Malformed JSON bodies and other errors on the API answer in JSON too
+app.use((err, req, res, next) => {
+  if (!req.path.startsWith('/api/')) return next(err)
+  const titles = { 400: 'Bad Request', 503: 'Service Unavailable' }
+  apiError(res, err.status || 500, titles[err.status] || 'Internal Server Error', err.message)
+})
+
+// Saturated worker pool on the HTML routes
+app.use((err, req, res, next) => {
+  if (err.status !== 503) return next(err)
+  res.status(503).send(`<h3>🔥 503 Service Unavailable</h3><p>${err.message} (Capacity Model)</p>`)
+})
+
+// --- 7. STARTUP ---
+// Restores the saved state, then starts listening
+storage.load().then(saved => {
+  reservations.push(...saved.reservations)
+  ids.nextReservationId = reservations.reduce((max, r) => Math.max(max, r.id), 0) + 1
+  mergeConfig(saved.config)
+  tokenStore.hydrate(saved.sessions.tokens)
+  cookieSessions.hydrate(saved.sessions.cookieSessions)
+  refreshTokenStore.hydrate(saved.sessions.refreshTokens)
+  configSessions.hydrate(saved.sessions.configSessions)
+  for (const preset of saved.presets) presets.set(preset.name, { ...preset, builtIn: false })
+  console.log(`✅ Storage: ${storage.name}${storage.location ? ` (${storage.location})` : ''}, ${reservations.length} reservations restored`)
+
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`App running on port ${PORT}`);
+    if (INSTRUCTOR_PASSWORD && CONFIG_AUTH) console.log('🔑 Main hotel /config: admin with INSTRUCTOR_PASSWORD')
+    else if (TENANTS_MODE !== 'off' && CONFIG_AUTH) console.log('⚠️  Teams can open the main hotel\'s /config with admin/password, set INSTRUCTOR_PASSWORD to keep them out')
+  });
+}).catch(err => {
+  console.error('❌ Storage failed to load:', err.message)
+  process.exit(1)
+})
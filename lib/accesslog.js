@@ -0,0 +1,126 @@
+// --- ACCESS LOG ---
+// One entry per finished request, configured from the environment:
+//   ACCESS_LOG_FORMAT=combined (default) | json | off
+//   ACCESS_LOG_FILE=<file>          write there instead of stdout
+//   ACCESS_LOG_MAX_SIZE=10          MB before the file is rotated to <file>.1, <file>.2, ...
+//   ACCESS_LOG_MAX_FILES=5          rotated files to keep
+//
+// The most recent entries also stay in memory so they can be exported as a JMeter JTL (CSV)
+// and compared with the students' own results.
+const fs = require('fs')
+const path = require('path')
+const { STATUS_CODES } = require('http')
+
+const FORMATS = ['combined', 'json', 'off']
+const RECENT_LIMIT = 10000
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Apache time: 19/Oct/2026:14:03:07 +0200
+const apacheTime = (date) => {
+  const pad = (value) => String(value).padStart(2, '0')
+  const offset = -date.getTimezoneOffset()
+  const zone = `${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`
+  return `${pad(date.getDate())}/${MONTHS[date.getMonth()]}/${date.getFullYear()}:${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`
+}
+
+const quote = (value) => `"${String(value || '-').replace(/["\\]/g, '\\$&')}"`
+
+// Apache combined format, followed by the simulator's own fields as key=value pairs
+const formatCombined = (entry) =>
+  `${entry.ip} - ${entry.user || '-'} [${apacheTime(new Date(entry.time))}] ${quote(`${entry.method} ${entry.url} HTTP/${entry.httpVersion}`)} ` +
+  `${entry.status} ${entry.bytes || '-'} ${quote(entry.referer)} ${quote(entry.userAgent)} ` +
+  `rt=${entry.durationMs} delay=${entry.delayMs === null ? '-' : entry.delayMs} queue=${entry.queueMs === null ? '-' : entry.queueMs} ` +
+  `auth=${entry.authMode} fault=${entry.fault || '-'} id=${entry.id}`
+
+// Appends lines to a file, rotating it once it grows past maxBytes
+const createFileWriter = (file, maxBytes, maxFiles) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0
+  let stream = fs.createWriteStream(file, { flags: 'a' })
+
+  const rotate = () => {
+    // Buffered writes still land in the renamed file
+    stream.end()
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`)
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`)
+    else fs.unlinkSync(file)
+    stream = fs.createWriteStream(file, { flags: 'a' })
+    size = 0
+  }
+
+  return (line) => {
+    if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+      try {
+        rotate()
+      } catch (err) {
+        console.error('❌ Error rotating access log:', err.message)
+      }
+    }
+    stream.write(line)
+    size += Buffer.byteLength(line)
+  }
+}
+
+const createAccessLog = (env = process.env) => {
+  const format = String(env.ACCESS_LOG_FORMAT || 'combined').toLowerCase()
+  if (!FORMATS.includes(format)) throw new Error(`Unknown ACCESS_LOG_FORMAT "${env.ACCESS_LOG_FORMAT}" (expected ${FORMATS.join(', ')})`)
+  const file = env.ACCESS_LOG_FILE ? path.resolve(env.ACCESS_LOG_FILE) : null
+  const maxBytes = (Number(env.ACCESS_LOG_MAX_SIZE) || 10) * 1024 * 1024
+  const maxFiles = env.ACCESS_LOG_MAX_FILES === undefined ? 5 : Math.max(0, Math.floor(Number(env.ACCESS_LOG_MAX_FILES) || 0))
+
+  const write = format === 'off' ? null : file ? createFileWriter(file, maxBytes, maxFiles) : (line) => process.stdout.write(line)
+  const recent = []
+
+  const log = (entry) => {
+    recent.push(entry)
+    if (recent.length > RECENT_LIMIT) recent.shift()
+    if (write) write(`${format === 'json' ? JSON.stringify(entry) : formatCombined(entry)}\n`)
+  }
+
+  return {
+    format,
+    destination: format === 'off' ? null : file || 'stdout',
+    log,
+    getRecent: () => recent
+  }
+}
+
+// --- JTL EXPORT ---
+// Same columns as JMeter's default CSV result file, so both load into the same listeners
+const JTL_COLUMNS = ['timeStamp', 'elapsed', 'label', 'responseCode', 'responseMessage', 'threadName', 'dataType', 'success',
+  'failureMessage', 'bytes', 'sentBytes', 'grpThreads', 'allThreads', 'URL', 'Latency', 'IdleTime', 'Connect']
+
+const csvField = (value) => /[",\n\r]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value)
+
+// faults maps a chaos fault id to its description (failureMessage)
+const toJtl = (entries, faults = {}) => [
+  JTL_COLUMNS.join(','),
+  ...entries.map(entry => {
+    const aborted = entry.status === 'aborted'
+    const failure = aborted ? 'Connection closed before the response was complete' : entry.fault ? faults[entry.fault] || entry.fault : ''
+    return [
+      entry.startedAt,
+      entry.durationMs,
+      `${entry.method} ${entry.route}`,
+      aborted ? 'Non HTTP response code: connection closed' : entry.status,
+      aborted ? '' : STATUS_CODES[entry.status] || '',
+      entry.user || entry.ip,
+      'text',
+      !aborted && entry.status < 400 && !entry.fault,
+      failure,
+      entry.bytes,
+      entry.requestBytes,
+      entry.inFlight,
+      entry.inFlight,
+      entry.fullUrl,
+      entry.durationMs,
+      0,
+      0
+    ].map(csvField).join(',')
+  })
+].join('\n') + '\n'
+
+module.exports = { FORMATS, createAccessLog, toJtl }
@@ -0,0 +1,60 @@
+// --- WORKER POOL ---
+// Simulates a saturated backend: a fixed number of workers (think threads or DB connections)
+// with a FIFO queue in front of them. A request holds a worker for its service time, so once
+// all workers are busy the wait in the queue grows with every extra in-flight request, and a
+// full queue turns new requests away.
+//
+// getLimits() is read on every acquire so /config changes apply immediately:
+//   { workers: 0 = unlimited, queueSize: waiting requests allowed before rejecting }
+
+const createWorkerPool = (getLimits) => {
+  let active = 0
+  const queue = []
+  let stats = { served: 0, rejected: 0, peakActive: 0, peakQueued: 0 }
+
+  const hasFreeWorker = () => {
+    const { workers } = getLimits()
+    return workers <= 0 || active < workers
+  }
+
+  const start = () => {
+    active++
+    stats.peakActive = Math.max(stats.peakActive, active)
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      active--
+      stats.served++
+      drain()
+    }
+  }
+
+  // Hands free workers to queued requests (also call after raising the limit)
+  const drain = () => {
+    while (queue.length > 0 && hasFreeWorker()) queue.shift()(start())
+  }
+
+  // Resolves with a release() function once a worker is free, or null when the queue is full
+  const acquire = () => {
+    if (queue.length === 0 && hasFreeWorker()) return Promise.resolve(start())
+    if (queue.length >= getLimits().queueSize) {
+      stats.rejected++
+      return Promise.resolve(null)
+    }
+    return new Promise(resolve => {
+      queue.push(resolve)
+      stats.peakQueued = Math.max(stats.peakQueued, queue.length)
+    })
+  }
+
+  const getStatus = () => ({ active, queued: queue.length, ...stats })
+
+  const resetStats = () => {
+    stats = { served: 0, rejected: 0, peakActive: active, peakQueued: queue.length }
+  }
+
+  return { acquire, drain, getStatus, resetStats }
+}
+
+module.exports = { createWorkerPool }
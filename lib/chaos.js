@@ -0,0 +1,41 @@
+// --- CHAOS RULES ---
+// Per-route fault injection configured on /config. Each rule has its own probability and an
+// optional method and path filter; the first rule that matches and fires decides the fault.
+// The responses themselves are produced by the chaos middleware in app.js.
+
+const FAULTS = {
+  error500: 'HTTP 500 Internal Server Error',
+  unavailable503: 'HTTP 503 with Retry-After',
+  tooMany429: 'HTTP 429 Too Many Requests with Retry-After',
+  badGateway502: 'HTTP 502 HTML page from a fake nginx proxy',
+  hang: 'Hung request, never answers',
+  reset: 'Abrupt connection reset',
+  truncated: 'Body cut off halfway (connection closed early)',
+  malformed: 'HTTP 200 with malformed HTML',
+  softError: 'HTTP 200 containing an error message'
+}
+
+const METHODS = ['ANY', 'GET', 'POST']
+
+// Cleans a rule from the /config form (or saved config); returns null for an empty/unknown row
+const normalizeRule = (rule) => {
+  if (!rule || !FAULTS[rule.fault]) return null
+  const probability = Math.min(100, Math.max(0, Number(rule.probability) || 0))
+  const method = METHODS.includes(String(rule.method).toUpperCase()) ? String(rule.method).toUpperCase() : 'ANY'
+  const path = String(rule.path || '').trim()
+  return { fault: rule.fault, probability, method, path }
+}
+
+// Path filter: empty matches everything, a trailing * matches a prefix, anything else the exact path
+const matchesRule = (rule, method, path) => {
+  if (rule.method !== 'ANY' && rule.method !== method) return false
+  if (!rule.path) return true
+  if (rule.path.endsWith('*')) return path.startsWith(rule.path.slice(0, -1))
+  return path === rule.path
+}
+
+// Index of the first matching rule whose dice roll fires, or -1
+const pickRule = (rules, method, path, random = Math.random) =>
+  rules.findIndex(rule => matchesRule(rule, method, path) && rule.probability > 0 && random() * 100 < rule.probability)
+
+module.exports = { FAULTS, METHODS, normalizeRule, matchesRule, pickRule }
@@ -0,0 +1,281 @@
+// --- JMETER TEST PLAN ---
+// Builds a ready-to-run .jmx for the booking flow as the app is configured right now:
+// login, menu, rooms, search, reserve, checkout, overview and logout, with the correlation
+// the auth mode needs (Cookie Manager, token Regex Extractor or Bearer header), the _csrf
+// extractors when anti-forgery tokens are on, and response assertions on the success texts.
+// Logins come from users.csv (GET /config/data/users.csv).
+
+const xmlEscape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+// Java's String.hashCode, which JMeter uses to name the strings of an assertion
+const javaHash = (text) => {
+  let hash = 0
+  for (const char of text) hash = (Math.imul(hash, 31) + char.charCodeAt(0)) | 0
+  return hash
+}
+
+const stringProp = (name, value) => `<stringProp name="${name}">${xmlEscape(value)}</stringProp>`
+const boolProp = (name, value) => `<boolProp name="${name}">${value}</boolProp>`
+const intProp = (name, value) => `<intProp name="${name}">${value}</intProp>`
+
+// A test element and the elements nested under it (JMeter's <hashTree>)
+const node = (tag, attrs, props, children = []) => ({ tag, attrs, props, children })
+const testElement = (tag, guiclass, name, props, children) =>
+  node(tag, { guiclass, testclass: tag, testname: name, enabled: 'true' }, props, children)
+
+const render = (nodes, depth) => {
+  const pad = '  '.repeat(depth)
+  return nodes.map(({ tag, attrs, props, children }) => [
+    `${pad}<${tag} ${Object.entries(attrs).map(([key, value]) => `${key}="${xmlEscape(value)}"`).join(' ')}${props.length ? '>' : '/>'}`,
+    // Continuation lines of a multi-line value (the plan comments) stay as they are
+    ...(props.length ? [...props.map(prop => prop.replace(/^(?=\s*<)/gm, `${pad}  `)), `${pad}</${tag}>`] : []),
+    `${pad}<hashTree${children.length ? '>' : '/>'}`,
+    ...(children.length ? [render(children, depth + 1), `${pad}</hashTree>`] : [])
+  ].join('\n')).join('\n')
+}
+
+// --- ELEMENTS ---
+const variables = (name, values) => [
+  `<collectionProp name="${name}">`,
+  ...Object.entries(values).map(([key, value]) => [
+    `  <elementProp name="${xmlEscape(key)}" elementType="Argument">`,
+    `    ${stringProp('Argument.name', key)}`,
+    `    ${stringProp('Argument.value', value)}`,
+    `    ${stringProp('Argument.metadata', '=')}`,
+    '  </elementProp>'
+  ].join('\n')),
+  '</collectionProp>'
+].join('\n')
+
+const httpArguments = (params) => [
+  '<elementProp name="HTTPsampler.Arguments" elementType="Arguments" guiclass="HTTPArgumentsPanel" testclass="Arguments" testname="User Defined Variables" enabled="true">',
+  `  <collectionProp name="Arguments.arguments"${params.length ? '>' : '/>'}`,
+  ...params.map(({ name, value, encode = true }) => [
+    `    <elementProp name="${xmlEscape(name)}" elementType="HTTPArgument">`,
+    `      ${boolProp('HTTPArgument.always_encode', encode)}`,
+    `      ${stringProp('Argument.value', value)}`,
+    `      ${stringProp('Argument.metadata', '=')}`,
+    `      ${boolProp('HTTPArgument.use_equals', true)}`,
+    `      ${stringProp('Argument.name', name)}`,
+    '    </elementProp>'
+  ].join('\n')),
+  ...(params.length ? ['  </collectionProp>'] : []),
+  '</elementProp>'
+].join('\n')
+
+// Redirects are never followed, so each step is one request and Location headers can be extracted
+const httpSampler = (name, method, path, params, children) => testElement('HTTPSamplerProxy', 'HttpTestSampleGui', name, [
+  httpArguments(params),
+  stringProp('HTTPSampler.domain', ''),
+  stringProp('HTTPSampler.port', ''),
+  stringProp('HTTPSampler.protocol', ''),
+  stringProp('HTTPSampler.contentEncoding', 'UTF-8'),
+  stringProp('HTTPSampler.path', path),
+  stringProp('HTTPSampler.method', method),
+  boolProp('HTTPSampler.follow_redirects', false),
+  boolProp('HTTPSampler.auto_redirects', false),
+  boolProp('HTTPSampler.use_keepalive', true),
+  boolProp('HTTPSampler.DO_MULTIPART_POST', false)
+], children)
+
+// field: 'body' checks the response text contains it, 'code' the status code equals it
+const assertion = (name, field, expected) => testElement('ResponseAssertion', 'AssertionGui', name, [
+  `<collectionProp name="Asserion.test_strings">\n  ${stringProp(String(javaHash(expected)), expected)}\n</collectionProp>`,
+  stringProp('Assertion.custom_message', ''),
+  stringProp('Assertion.test_field', field === 'code' ? 'Assertion.response_code' : 'Assertion.response_data'),
+  boolProp('Assertion.assume_success', false),
+  intProp('Assertion.test_type', field === 'code' ? 8 : 16)
+])
+
+const bodyContains = (text) => assertion(`Contains "${text}"`, 'body', text)
+const statusIs = (code) => assertion(`Status ${code}`, 'code', String(code))
+
+// source: 'body' or 'headers'
+const regexExtractor = (variable, source, regex) => testElement('RegexExtractor', 'RegexExtractorGui', `Extract ${variable}`, [
+  stringProp('RegexExtractor.useHeaders', String(source === 'headers')),
+  stringProp('RegexExtractor.refname', variable),
+  stringProp('RegexExtractor.regex', regex),
+  stringProp('RegexExtractor.template', '$1$'),
+  stringProp('RegexExtractor.default', `${variable.toUpperCase()}_NOT_FOUND`),
+  boolProp('RegexExtractor.default_empty_value', false),
+  stringProp('RegexExtractor.match_number', '1')
+])
+
+const cookieManager = () => testElement('CookieManager', 'CookiePanel', 'HTTP Cookie Manager', [
+  '<collectionProp name="CookieManager.cookies"/>',
+  boolProp('CookieManager.clearEachIteration', true),
+  boolProp('CookieManager.controlledByThreadGroup', false)
+])
+
+const headerManager = (name, headers) => testElement('HeaderManager', 'HeaderPanel', name, [[
+  '<collectionProp name="HeaderManager.headers">',
+  ...Object.entries(headers).map(([key, value]) =>
+    `  <elementProp name="" elementType="Header">\n    ${stringProp('Header.name', key)}\n    ${stringProp('Header.value', value)}\n  </elementProp>`),
+  '</collectionProp>'
+].join('\n')])
+
+const csvDataSet = (name, filename, variableNames) => testElement('CSVDataSet', 'TestBeanGUI', name, [
+  stringProp('delimiter', ','),
+  stringProp('fileEncoding', 'UTF-8'),
+  stringProp('filename', filename),
+  boolProp('ignoreFirstLine', true),
+  boolProp('quotedData', false),
+  boolProp('recycle', true),
+  stringProp('shareMode', 'shareMode.all'),
+  boolProp('stopThread', false),
+  stringProp('variableNames', variableNames.join(','))
+])
+
+const resultCollector = (guiclass, name, enabled) => node('ResultCollector', { guiclass, testclass: 'ResultCollector', testname: name, enabled: String(enabled) }, [
+  boolProp('ResultCollector.error_logging', false),
+  stringProp('filename', '')
+])
+
+// --- PLAN ---
+// options: { version, authMode, csrf, protocol, host, port, basePath, room, nights, usersUrl }
+// basePath: prefix of every path, e.g. /t/red for a team's hotel in workshop mode
+const buildTestPlan = ({ version, authMode, csrf, protocol, host, port, basePath = '', room, nights, usersUrl }) => {
+  // Every path starts with ${BASE_PATH} ('' for the main hotel)
+  const request = (name, method, path, ...rest) => httpSampler(name, method, `\${BASE_PATH}${path}`, ...rest)
+  // Fields every form in the flow needs on top of its own
+  const formFields = (form) => [
+    ...(authMode === 'token' ? [{ name: 'token', value: '${token}', encode: false }] : []),
+    ...(csrf ? [{ name: '_csrf', value: `\${csrf_${form}}` }] : [])
+  ]
+  const linkParams = authMode === 'token' ? [{ name: 'token', value: '${token}', encode: false }] : []
+  const csrfExtractor = (form) => csrf ? [regexExtractor(`csrf_${form}`, 'body', 'name="_csrf" value="([^"]+)"')] : []
+
+  const login = request('01 Login', 'POST', '/login', [
+    { name: 'username', value: '${username}' },
+    { name: 'password', value: '${password}' }
+  ], {
+    cookie: [statusIs(302)],
+    token: [statusIs(302), regexExtractor('token', 'headers', 'Location: .*[?&]token=([^&\\s]+)')],
+    jwt: [bodyContains('Login Successful'), regexExtractor('accessToken', 'body', 'id="accessToken">([^<]+)<')]
+  }[authMode])
+
+  const steps = [
+    request('02 Menu', 'GET', '/menu', linkParams, [bodyContains('Main Menu')]),
+    request('03 Rooms', 'GET', '/rooms', linkParams, [bodyContains('Our Accommodations')]),
+    // Picks a check-in 1 to 60 days ahead and keeps it in ${checkIn} for the booking
+    request('04 Search', 'GET', '/search', [
+      ...linkParams,
+      { name: 'checkIn', value: '${__timeShift(yyyy-MM-dd,,P${__Random(1,60,)}D,,checkIn)}' },
+      { name: 'nights', value: '${NIGHTS}' },
+      { name: 'guests', value: '1' }
+    ], [bodyContains('Search Results')]),
+    request('05 Reserve Form', 'GET', '/reserve', linkParams, [bodyContains('Book your stay'), ...csrfExtractor('reserve')]),
+    request('06 Reserve', 'POST', '/reserve', [
+      ...formFields('reserve'),
+      { name: 'guest', value: '${username}' },
+      { name: 'room', value: '${ROOM}' },
+      { name: 'checkIn', value: '${checkIn}' },
+      { name: 'nights', value: '${NIGHTS}' },
+      { name: 'guests', value: '1' },
+      { name: 'pets', value: '0' }
+    ], [statusIs(302), regexExtractor('reservationId', 'headers', 'Location: .*[?&]reservation=(\\d+)')]),
+    request('07 Checkout Form', 'GET', '/checkout', [...linkParams, { name: 'reservation', value: '${reservationId}' }], [
+      bodyContains('Payment & Checkout'),
+      regexExtractor('totalPrice', 'body', 'name="totalPrice" value="([^"]+)"'),
+      ...csrfExtractor('checkout')
+    ]),
+    request('08 Checkout', 'POST', '/checkout', [
+      ...formFields('checkout'),
+      { name: 'reservation', value: '${reservationId}' },
+      { name: 'totalPrice', value: '${totalPrice}' },
+      { name: 'paymentMethod', value: 'creditcard' },
+      { name: 'cardNumber', value: '4111111111111111' },
+      // Two years ahead, so the card never expires
+      { name: 'cardExpiry', value: '${__timeShift(MM/yy,,P730D,,)}' },
+      { name: 'cardCvv', value: '123' },
+      { name: 'cardHolder', value: '${username}' }
+    ], [bodyContains('Payment Successful')]),
+    request('09 Overview', 'GET', '/overview', linkParams, [bodyContains('Current Bookings')]),
+    request('10 Logout', 'GET', '/logout', linkParams, [statusIs(302)])
+  ]
+
+  // A Bearer header on the login itself would be rejected, so it only covers the logged-in steps
+  const flow = authMode === 'jwt'
+    ? [login, testElement('GenericController', 'LogicControllerGui', 'Logged in', [], [headerManager('Authorization', { Authorization: 'Bearer ${accessToken}' }), ...steps])]
+    : [login, ...steps]
+
+  const correlation = {
+    cookie: 'Cookie mode: the HTTP Cookie Manager keeps the username cookie.',
+    token: 'Token mode: the token from the login redirect is extracted and sent as the token parameter on every request.',
+    jwt: 'JWT mode: the access token is extracted from the login page and sent as Authorization: Bearer header.'
+  }[authMode]
+
+  const plan = testElement('TestPlan', 'TestPlanGui', `Hotel TAD booking flow (${authMode} mode)`, [
+    stringProp('TestPlan.comments', [
+      `Generated by Hotel TAD ${version} for the ${authMode} auth mode${csrf ? ' with anti-forgery tokens' : ''}; regenerate it when the config changes.`,
+      correlation,
+      `Put users.csv next to this file: ${usersUrl}`,
+      'Override with -Jhost=... -Jport=... -Jprotocol=... -JbasePath=... -Jthreads=... -Jrampup=... -Jloops=...'
+    ].join('\n')),
+    boolProp('TestPlan.functional_mode', false),
+    boolProp('TestPlan.tearDown_on_shutdown', true),
+    boolProp('TestPlan.serialize_threadgroups', false),
+    [
+      '<elementProp name="TestPlan.user_defined_variables" elementType="Arguments" guiclass="ArgumentsPanel" testclass="Arguments" testname="User Defined Variables" enabled="true">',
+      variables('Arguments.arguments', {
+        PROTOCOL: `\${__P(protocol,${protocol})}`,
+        HOST: `\${__P(host,${host})}`,
+        PORT: `\${__P(port,${port})}`,
+        BASE_PATH: `\${__P(basePath,${basePath})}`,
+        THREADS: '${__P(threads,5)}',
+        RAMP_UP: '${__P(rampup,10)}',
+        LOOPS: '${__P(loops,1)}',
+        ROOM: room,
+        NIGHTS: String(nights)
+      }).replace(/^/gm, '  '),
+      '</elementProp>'
+    ].join('\n'),
+    stringProp('TestPlan.user_define_classpath', '')
+  ], [
+    testElement('ConfigTestElement', 'HttpDefaultsGui', 'HTTP Request Defaults', [
+      '<elementProp name="HTTPsampler.Arguments" elementType="Arguments" guiclass="HTTPArgumentsPanel" testclass="Arguments" testname="User Defined Variables" enabled="true">\n  <collectionProp name="Arguments.arguments"/>\n</elementProp>',
+      stringProp('HTTPSampler.domain', '${HOST}'),
+      stringProp('HTTPSampler.port', '${PORT}'),
+      stringProp('HTTPSampler.protocol', '${PROTOCOL}'),
+      stringProp('HTTPSampler.contentEncoding', 'UTF-8')
+    ]),
+    // Also needed outside cookie mode when the XSRF-TOKEN cookie is checked
+    ...(authMode === 'cookie' || csrf ? [cookieManager()] : []),
+    csvDataSet('Users (users.csv)', 'users.csv', ['username', 'password', 'valid', 'reason']),
+    testElement('ThreadGroup', 'ThreadGroupGui', 'Guests', [
+      stringProp('ThreadGroup.on_sample_error', 'startnextloop'),
+      [
+        '<elementProp name="ThreadGroup.main_controller" elementType="LoopController" guiclass="LoopControlPanel" testclass="LoopController" testname="Loop Controller" enabled="true">',
+        `  ${boolProp('LoopController.continue_forever', false)}`,
+        `  ${stringProp('LoopController.loops', '${LOOPS}')}`,
+        '</elementProp>'
+      ].join('\n'),
+      stringProp('ThreadGroup.num_threads', '${THREADS}'),
+      stringProp('ThreadGroup.ramp_time', '${RAMP_UP}'),
+      boolProp('ThreadGroup.scheduler', false),
+      stringProp('ThreadGroup.duration', ''),
+      stringProp('ThreadGroup.delay', ''),
+      boolProp('ThreadGroup.same_user_on_next_iteration', true)
+    ], [
+      testElement('UniformRandomTimer', 'UniformRandomTimerGui', 'Think Time', [
+        stringProp('ConstantTimer.delay', '500'),
+        stringProp('RandomTimer.range', '1000')
+      ]),
+      ...flow
+    ]),
+    resultCollector('SummaryReport', 'Summary Report', true),
+    resultCollector('ViewResultsFullVisualizer', 'View Results Tree', false)
+  ])
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<jmeterTestPlan version="1.2" properties="5.0" jmeter="5.6.3">',
+    '  <hashTree>',
+    render([plan], 2),
+    '  </hashTree>',
+    '</jmeterTestPlan>',
+    ''
+  ].join('\n')
+}
+
+module.exports = { buildTestPlan }
@@ -0,0 +1,39 @@
+// --- JWT (HS256) ---
+// Minimal JSON Web Token signing and verification on top of node:crypto,
+// enough for the 'jwt' auth mode without pulling in a dependency.
+const crypto = require('crypto')
+
+const base64url = (input) => Buffer.from(input).toString('base64url')
+
+const hmac = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest()
+
+const signJwt = (payload, secret) => {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+  const body = base64url(JSON.stringify(payload))
+  const signature = hmac(`${header}.${body}`, secret).toString('base64url')
+  return `${header}.${body}.${signature}`
+}
+
+// Returns { payload } for a valid token, or { error: 'invalid' | 'expired' }
+const verifyJwt = (token, secret, now = Date.now()) => {
+  const parts = String(token || '').split('.')
+  if (parts.length !== 3) return { error: 'invalid' }
+  const [header, body, signature] = parts
+
+  const expected = hmac(`${header}.${body}`, secret)
+  const given = Buffer.from(signature, 'base64url')
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return { error: 'invalid' }
+
+  let payload
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return { error: 'invalid' }
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString())
+  } catch (err) {
+    return { error: 'invalid' }
+  }
+
+  if (typeof payload.exp === 'number' && payload.exp * 1000 <= now) return { error: 'expired' }
+  return { payload }
+}
+
+module.exports = { signJwt, verifyJwt }
@@ -0,0 +1,109 @@
+// --- LATENCY PROFILES ---
+// Each route delay in config.delays is a distribution instead of a fixed sleep,
+// so response times get a realistic spread (and p95/p99 drift away from the average).
+//
+//   constant   ms
+//   uniform    min .. max
+//   normal     mean, stddev (clipped at 0)
+//   lognormal  median, sigma (long tail: larger sigma = heavier tail)
+//   spike      ms normally, spikeMs for spikePercent % of requests
+
+const DISTRIBUTIONS = ['constant', 'uniform', 'normal', 'lognormal', 'spike']
+
+const PARAMETERS = ['ms', 'min', 'max', 'mean', 'stddev', 'median', 'sigma', 'spikePercent', 'spikeMs']
+
+const DEFAULT_PROFILE = { type: 'constant', ms: 0, min: 0, max: 0, mean: 0, stddev: 0, median: 0, sigma: 0.5, spikePercent: 0, spikeMs: 0 }
+
+const nonNegative = (value, fallback) => {
+  const number = Number(value)
+  return Number.isFinite(number) && number >= 0 ? number : fallback
+}
+
+// Accepts a profile-like object (e.g. parsed form fields) or a plain number of ms (older configs)
+const normalizeProfile = (value) => {
+  if (typeof value !== 'object' || value === null) {
+    return { ...DEFAULT_PROFILE, ms: nonNegative(value, 0) }
+  }
+  const profile = { type: DISTRIBUTIONS.includes(value.type) ? value.type : 'constant' }
+  for (const key of PARAMETERS) profile[key] = nonNegative(value[key], DEFAULT_PROFILE[key])
+  profile.spikePercent = Math.min(profile.spikePercent, 100)
+  if (profile.max < profile.min) [profile.min, profile.max] = [profile.max, profile.min]
+  return profile
+}
+
+// Standard normal variate (Box-Muller)
+const gaussian = (random) => {
+  const u = 1 - random() // (0, 1], avoids log(0)
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+// Draws one delay in whole milliseconds
+const sampleDelay = (profile, random = Math.random) => {
+  let ms
+  switch (profile.type) {
+    case 'uniform':
+      ms = profile.min + random() * (profile.max - profile.min)
+      break
+    case 'normal':
+      ms = profile.mean + gaussian(random) * profile.stddev
+      break
+    case 'lognormal':
+      ms = profile.median * Math.exp(gaussian(random) * profile.sigma)
+      break
+    case 'spike':
+      ms = random() * 100 < profile.spikePercent ? profile.spikeMs : profile.ms
+      break
+    default:
+      ms = profile.ms
+  }
+  return Math.max(0, Math.round(ms))
+}
+
+// Theoretical mean of the distribution, to compare against the sampled one
+const expectedMean = (profile) => {
+  switch (profile.type) {
+    case 'uniform': return (profile.min + profile.max) / 2
+    case 'normal': return profile.mean
+    case 'lognormal': return profile.median * Math.exp(profile.sigma * profile.sigma / 2)
+    case 'spike': return profile.ms + (profile.spikeMs - profile.ms) * profile.spikePercent / 100
+    default: return profile.ms
+  }
+}
+
+const describeProfile = (profile) => {
+  switch (profile.type) {
+    case 'uniform': return `uniform ${profile.min}–${profile.max} ms`
+    case 'normal': return `normal μ ${profile.mean} ms, σ ${profile.stddev} ms`
+    case 'lognormal': return `log-normal median ${profile.median} ms, σ ${profile.sigma}`
+    case 'spike': return `${profile.ms} ms, ${profile.spikePercent}% spike to ${profile.spikeMs} ms`
+    default: return `constant ${profile.ms} ms`
+  }
+}
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))]
+
+// Returns { count, mean, p50, p95, p99, max } or null when there are no samples
+const summarizeSamples = (samples) => {
+  if (samples.length === 0) return null
+  const sorted = [...samples].sort((a, b) => a - b)
+  return {
+    count: sorted.length,
+    mean: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1]
+  }
+}
+
+module.exports = {
+  DISTRIBUTIONS,
+  PARAMETERS,
+  normalizeProfile,
+  sampleDelay,
+  expectedMean,
+  describeProfile,
+  summarizeSamples
+}
@@ -0,0 +1,63 @@
+// --- LIVE STATS ---
+// Rolling per-second numbers for the live dashboard on /config/live.
+// Requests are collected into the current one-second bucket; tick() closes it once a second
+// and turns it into a point: throughput, error rate, p50/p95 per route (over the last
+// few seconds so quiet routes don't flicker) and bookings per minute.
+
+const LATENCY_WINDOW_SECONDS = 10
+const BOOKING_WINDOW_SECONDS = 60
+
+const percentile = (sorted, p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)] : null
+
+const createLiveStats = ({ historySeconds = 300 } = {}) => {
+  const newBucket = () => ({ requests: 0, errors: 0, bookings: 0, durations: {} })
+  let current = newBucket()
+  // Closed buckets still needed for the rolling windows, newest last
+  const recent = []
+  const history = []
+
+  // status: HTTP status code or 'aborted'; 4xx, 5xx and aborted requests count as errors
+  const record = (route, status, ms) => {
+    current.requests++
+    if (status === 'aborted' || status >= 400) current.errors++
+    ;(current.durations[route] = current.durations[route] || []).push(ms)
+  }
+
+  const countBooking = () => { current.bookings++ }
+
+  // Closes the current second; extra is merged into the point (e.g. { sessions })
+  const tick = (extra = {}) => {
+    recent.push(current)
+    if (recent.length > Math.max(LATENCY_WINDOW_SECONDS, BOOKING_WINDOW_SECONDS)) recent.shift()
+    const bucket = current
+    current = newBucket()
+
+    const latencyWindow = recent.slice(-LATENCY_WINDOW_SECONDS)
+    const durations = {}
+    for (const { durations: byRoute } of latencyWindow) {
+      for (const [route, values] of Object.entries(byRoute)) (durations[route] = durations[route] || []).push(...values)
+    }
+    const routes = Object.fromEntries(Object.entries(durations).sort(([a], [b]) => a.localeCompare(b)).map(([route, values]) => {
+      const sorted = values.sort((a, b) => a - b)
+      return [route, { count: sorted.length, p50: Math.round(percentile(sorted, 50)), p95: Math.round(percentile(sorted, 95)) }]
+    }))
+
+    const point = {
+      time: Date.now(),
+      rps: bucket.requests,
+      errorRate: bucket.requests ? Math.round(bucket.errors / bucket.requests * 1000) / 10 : 0,
+      routes,
+      bookingsPerMinute: recent.slice(-BOOKING_WINDOW_SECONDS).reduce((sum, { bookings }) => sum + bookings, 0),
+      ...extra
+    }
+    history.push(point)
+    if (history.length > historySeconds) history.shift()
+    return point
+  }
+
+  const getHistory = () => history
+
+  return { record, countBooking, tick, getHistory }
+}
+
+module.exports = { createLiveStats, LATENCY_WINDOW_SECONDS }
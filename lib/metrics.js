@@ -0,0 +1,106 @@
+// --- METRICS ---
+// A small Prometheus registry (counters, gauges, histograms) rendered in the text exposition
+// format, enough for /metrics without pulling in a client library.
+// Gauges may take a collect() callback that refreshes their values right before each scrape.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+const formatLabels = (labelNames, values, extra = '') => {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`)
+  if (extra) pairs.push(extra)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+const formatNumber = (value) => {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+const createRegistry = () => {
+  const metrics = []
+
+  // Series are keyed by their label values in labelNames order
+  const seriesKey = (labelNames, labels = {}) => labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]))
+
+  const register = (metric) => {
+    metrics.push(metric)
+    return metric
+  }
+
+  const counter = (name, help, labelNames = []) => {
+    const series = new Map()
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc: (labels, by = 1) => {
+        const values = seriesKey(labelNames, labels)
+        const key = JSON.stringify(values)
+        series.set(key, { values, value: ((series.get(key) || {}).value || 0) + by })
+      },
+      lines: () => [...series.values()].map(({ values, value }) => `${name}${formatLabels(labelNames, values)} ${formatNumber(value)}`)
+    })
+  }
+
+  const gauge = (name, help, labelNames = [], collect = null) => {
+    const series = new Map()
+    const metric = register({
+      name,
+      help,
+      type: 'gauge',
+      set: (labels, value) => {
+        const values = seriesKey(labelNames, labels)
+        series.set(JSON.stringify(values), { values, value })
+      },
+      inc: (labels, by = 1) => {
+        const values = seriesKey(labelNames, labels)
+        const key = JSON.stringify(values)
+        series.set(key, { values, value: ((series.get(key) || {}).value || 0) + by })
+      },
+      reset: () => series.clear(),
+      lines: () => {
+        if (collect) collect(metric)
+        return [...series.values()].map(({ values, value }) => `${name}${formatLabels(labelNames, values)} ${formatNumber(value)}`)
+      }
+    })
+    return metric
+  }
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const series = new Map()
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe: (labels, value) => {
+        const values = seriesKey(labelNames, labels)
+        const key = JSON.stringify(values)
+        const entry = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 }
+        buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++ })
+        entry.sum += value
+        entry.count++
+        series.set(key, entry)
+      },
+      lines: () => [...series.values()].flatMap(({ values, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[i]}`),
+        `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`,
+        `${name}_sum${formatLabels(labelNames, values)} ${sum}`,
+        `${name}_count${formatLabels(labelNames, values)} ${count}`
+      ])
+    })
+  }
+
+  // Text exposition format (version 0.0.4)
+  const render = () => metrics.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.lines()
+  ].join('\n')).join('\n') + '\n'
+
+  return { counter, gauge, histogram, render }
+}
+
+module.exports = { createRegistry, CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8' }
@@ -0,0 +1,1263 @@
+// --- OPENAPI DOCUMENT ---
+// Describes every route of the app (HTML forms and the /api/v1 JSON API).
+// Served at /openapi.json and rendered by the offline explorer at /docs.
+// Room names, payment banks etc. come from the live data so the enums never drift.
+const { DISTRIBUTIONS } = require('./latency')
+const { FAULTS, METHODS } = require('./chaos')
+const { KEYS: RATE_LIMIT_KEYS } = require('./ratelimit')
+
+const IDEAL_BANKS = ['abn_amro', 'ing', 'rabobank', 'sns_bank', 'asn_bank', 'regiobank', 'triodos', 'van_lanschot', 'knab', 'bunq']
+
+// --- Small builders for the repetitive parts ---
+const html = (description) => ({ description, content: { 'text/html': { schema: { type: 'string' } } } })
+
+const redirect = (description, location) => ({
+  description,
+  headers: { Location: { schema: { type: 'string' }, example: location } }
+})
+
+const form = (properties, required, example) => ({
+  required: true,
+  content: {
+    'application/x-www-form-urlencoded': {
+      schema: required.length ? { type: 'object', properties, required } : { type: 'object', properties },
+      example
+    }
+  }
+})
+
+const json = (description, schema, example) => ({
+  description,
+  content: { 'application/json': { schema, example } }
+})
+
+const jsonBody = (schema, example) => ({
+  required: true,
+  content: { 'application/json': { schema, example } }
+})
+
+const errorResponse = (description, error, message) =>
+  json(description, { $ref: '#/components/schemas/Error' }, { error, message })
+
+const query = (name, description, schema = { type: 'string' }, extra = {}) => ({ name, in: 'query', description, schema, ...extra })
+const pathParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'path', required: true, description, schema })
+
+// Sent as hidden field on every form while token mode is active
+const tokenField = { type: 'string', description: 'Auth token (token mode only), correlated from the login redirect' }
+
+// Sent as hidden field on write forms while CSRF protection is enabled
+const csrfField = { type: 'string', description: 'One-time anti-forgery token from the form page (CSRF enabled only)' }
+const csrfRejected = html('Forbidden: _csrf missing, reused or mismatched (CSRF enabled only)')
+
+// The /config forms always carry one, whatever the anti-forgery setting says
+const configCsrfField = { type: 'string', description: 'One-time anti-forgery token from the /config page (always required)' }
+const configCsrfRejected = html('Forbidden: _csrf missing, reused or mismatched')
+
+// /config routes need the admin account, either way works (unless the app runs with CONFIG_AUTH=off)
+const configSecurity = [{ configSession: [] }, { configBasic: [] }]
+const configUnauthorized = errorResponse('Not logged in as admin (browsers are redirected to /config/login instead)', 'Unauthorized',
+  'The configuration needs the admin account: log in on /config/login or use HTTP Basic auth.')
+const settingsRejected = errorResponse('Unknown setting or invalid authMode', 'Invalid Settings', 'Unknown setting bogus. Allowed: delays, errorRate, ...')
+const notJson = errorResponse('Content-Type is not application/json (guards against cross-site form posts)', 'Unsupported Media Type',
+  'Send the request with Content-Type: application/json.')
+const presetNotFound = errorResponse('No such preset', 'Preset Not Found', 'There is no preset called "Lab 9".')
+const tenantNotFound = errorResponse('No such team', 'Team Not Found', 'There is no team called "red".')
+const presetsReadOnly = errorResponse('Inside a team hotel: presets are shared, teams can only apply and export them', 'Forbidden',
+  'Presets are shared by all teams: only the main hotel can save, import or delete them.')
+
+// basePath: /t/<team> when the document is served inside a team's hotel
+const buildOpenApiDocument = ({ roomTypes, version, authMode, basePath = '' }) => {
+  const roomNames = roomTypes.map(r => r.room_name)
+  const roomIds = roomTypes.map(r => r.room_id)
+  const categories = [...new Set(roomTypes.map(r => r.category))]
+  const exampleRoom = roomTypes[0] || { room_id: 'STD-SGL-01', room_name: 'Standard Single Room' }
+
+  const paymentFields = {
+    reservation: { type: 'integer', description: 'Booking ID from the /reserve redirect' },
+    totalPrice: { type: 'number', description: 'Must be sent and equal the server-side total, otherwise HTTP 400 Price Mismatch' },
+    paymentMethod: { type: 'string', enum: ['creditcard', 'paypal', 'ideal'] },
+    cardNumber: { type: 'string', description: 'Luhn-valid card number (creditcard)', example: '4111111111111111' },
+    cardExpiry: { type: 'string', pattern: '^\\d{2}/\\d{2}$', description: 'MM/YY (creditcard)' },
+    cardCvv: { type: 'string', pattern: '^\\d{3,4}$', description: '3 or 4 digits (creditcard)' },
+    cardHolder: { type: 'string', description: 'Cardholder name (creditcard)' },
+    paypalEmail: { type: 'string', format: 'email', description: 'PayPal account (paypal)' },
+    idealBank: { type: 'string', enum: IDEAL_BANKS, description: 'Dutch bank (ideal)' }
+  }
+  const paymentExample = {
+    reservation: 1,
+    totalPrice: 240,
+    paymentMethod: 'creditcard',
+    cardNumber: '4111111111111111',
+    cardExpiry: '12/29',
+    cardCvv: '123',
+    cardHolder: 'John Doe'
+  }
+
+  const bookingFields = {
+    room: { type: 'string', enum: roomNames },
+    checkIn: { type: 'string', format: 'date', description: 'YYYY-MM-DD, not in the past' },
+    nights: { type: 'integer', minimum: 1, maximum: 14, description: 'At least the room\'s minimum_stay_nights' },
+    guests: { type: 'integer', minimum: 1, description: 'Up to the room\'s max_guests' },
+    pets: { type: 'integer', minimum: 0, description: 'Only for rooms that allow pets' }
+  }
+
+  // Latency profile per route: delay_<route> (ms) plus delay_<route>_<param>, see lib/latency.js
+  const delayRoutes = ['login', 'menu', 'reserve', 'overview', 'rooms', 'search', 'checkout']
+  const delayFields = Object.fromEntries(
+    delayRoutes.flatMap(key => [
+      [`delay_${key}_type`, { type: 'string', enum: DISTRIBUTIONS, description: `Latency distribution for ${key} (default constant)` }],
+      [`delay_${key}`, { type: 'integer', minimum: 0, description: `Latency for ${key} (ms): constant value, or the normal value of a spike profile` }],
+      [`delay_${key}_min`, { type: 'integer', minimum: 0, description: 'uniform: lower bound (ms)' }],
+      [`delay_${key}_max`, { type: 'integer', minimum: 0, description: 'uniform: upper bound (ms)' }],
+      [`delay_${key}_mean`, { type: 'integer', minimum: 0, description: 'normal: mean (ms)' }],
+      [`delay_${key}_stddev`, { type: 'integer', minimum: 0, description: 'normal: standard deviation (ms)' }],
+      [`delay_${key}_median`, { type: 'integer', minimum: 0, description: 'lognormal: median (ms)' }],
+      [`delay_${key}_sigma`, { type: 'number', minimum: 0, description: 'lognormal: shape, larger = longer tail' }],
+      [`delay_${key}_spikePercent`, { type: 'number', minimum: 0, maximum: 100, description: 'spike: % of requests that spike' }],
+      [`delay_${key}_spikeMs`, { type: 'integer', minimum: 0, description: 'spike: delay of a spiking request (ms)' }]
+    ])
+  )
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Hotel The Apex Drift (TAD)',
+      version,
+      description: 'JMeter workshop demo app. HTML routes answer with pages built for recording, ' +
+        '/api/v1 mirrors them in JSON. Protected routes need the `username` cookie (cookie mode), a `token` ' +
+        'parameter (token mode) or an `Authorization: Bearer` JWT (jwt mode). ' +
+        'Delayed responses report the injected latency (ms) in `X-Simulated-Delay` and the wait for a simulated ' +
+        'worker in `X-Queue-Time`; with the capacity model on, a full queue answers 503 with `Retry-After`. ' +
+        'Rate-limited routes send `X-RateLimit-Limit`, `X-RateLimit-Remaining` and `X-RateLimit-Reset`, and 429 with `Retry-After` when exceeded. ' +
+        'Every response has an `X-Request-Id` (the one sent by the client when present) that also appears in the access log. ' +
+        '`Server-Timing` splits the server time into auth, queue, injected-delay, db, render and app; with diagnostic headers on, ' +
+        'responses also carry `X-Backend-Node`, `X-Cache` and `X-Auth-Mode`. ' +
+        'In workshop mode every team has its own hotel under `/t/<team>/` with all of the paths below. ' +
+        `Current auth mode: **${authMode}**.`
+    },
+    servers: [{ url: basePath || '/' }],
+    tags: [
+      { name: 'Auth', description: 'Login and logout (HTML)' },
+      { name: 'Pages', description: 'Read-only HTML pages' },
+      { name: 'Booking', description: 'Reserve, pay, cancel and modify (HTML forms)' },
+      { name: 'Config', description: 'Instructor configuration' },
+      { name: 'API', description: 'JSON API' },
+      { name: 'Monitoring', description: 'Server-side telemetry' },
+      { name: 'Docs', description: 'This document' }
+    ],
+    security: [{ cookieAuth: [] }, { tokenAuth: [] }, { bearerAuth: [] }],
+    paths: {
+      '/': {
+        get: {
+          tags: ['Auth'],
+          summary: 'Login page',
+          security: [],
+          parameters: [query('expired', 'Set by the redirect of an expired session, shows the Session Expired notice', { type: 'string', enum: ['1'] })],
+          responses: { 200: html('Login form'), 302: redirect('Already logged in', '/menu') }
+        }
+      },
+      '/login': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Log in with user<N>/Password<N> or admin/password',
+          security: [],
+          requestBody: form(
+            { username: { type: 'string' }, password: { type: 'string', format: 'password' } },
+            ['username', 'password'],
+            { username: 'user1', password: 'Password1' }
+          ),
+          responses: {
+            200: html('Login Failed page (invalid credentials), or in jwt mode the access and refresh tokens'),
+            302: redirect('Logged in. Cookie mode sets the `username` cookie, token mode appends `token` to the URL', '/menu?token=dXNlcjE%3D.3f2a...')
+          }
+        }
+      },
+      '/logout': {
+        get: {
+          tags: ['Auth'],
+          summary: 'End the session (clears the cookie or invalidates the token)',
+          parameters: [query('token', 'Token mode only')],
+          responses: { 302: redirect('Back to the login page', '/') }
+        }
+      },
+      '/menu': {
+        get: {
+          tags: ['Pages'],
+          summary: 'Main menu',
+          parameters: [query('token', 'Token mode only')],
+          responses: { 200: html('Main Menu'), 302: redirect('Not logged in', '/') }
+        }
+      },
+      '/rooms': {
+        get: {
+          tags: ['Pages'],
+          summary: 'Room list',
+          parameters: [query('token', 'Token mode only')],
+          responses: { 200: html('Our Accommodations'), 302: redirect('Not logged in', '/') }
+        }
+      },
+      '/rooms/{id}': {
+        get: {
+          tags: ['Pages'],
+          summary: 'Room details',
+          parameters: [pathParam('id', 'room_id', { type: 'string', enum: roomIds }), query('token', 'Token mode only')],
+          responses: { 200: html('Room details page'), 302: redirect('Not logged in or unknown room', '/rooms') }
+        }
+      },
+      '/images/{filename}': {
+        get: {
+          tags: ['Pages'],
+          summary: 'Room photo',
+          security: [],
+          parameters: [pathParam('filename', 'Image file from `room resources/`')],
+          responses: {
+            200: { description: 'Image', content: { 'image/png': { schema: { type: 'string', format: 'binary' } } } },
+            404: { description: 'Not an image or not found' }
+          }
+        }
+      },
+      '/search': {
+        get: {
+          tags: ['Pages'],
+          summary: 'Search rooms',
+          parameters: [
+            query('checkIn', 'YYYY-MM-DD', { type: 'string', format: 'date' }),
+            query('checkOut', 'YYYY-MM-DD, used when nights is empty', { type: 'string', format: 'date' }),
+            query('nights', 'Number of nights', { type: 'integer', minimum: 1, maximum: 14 }),
+            query('guests', 'Minimum capacity', { type: 'integer', minimum: 1 }),
+            query('maxPrice', 'Maximum price per night (€)', { type: 'number' }),
+            query('category', 'Room category', { type: 'string', enum: ['All', ...categories] }),
+            query('token', 'Token mode only')
+          ],
+          responses: { 200: html('Search Results'), 302: redirect('Not logged in', '/') }
+        }
+      },
+      '/reserve': {
+        get: {
+          tags: ['Booking'],
+          summary: 'Booking form',
+          parameters: [query('room', 'Preselected room name', { type: 'string', enum: roomNames }), query('token', 'Token mode only')],
+          responses: { 200: html('Book your stay'), 302: redirect('Not logged in', '/') }
+        },
+        post: {
+          tags: ['Booking'],
+          summary: 'Create a booking (status PENDING_PAYMENT)',
+          requestBody: form(
+            { guest: { type: 'string' }, ...bookingFields, token: tokenField, _csrf: csrfField },
+            ['guest', 'room', 'checkIn', 'nights'],
+            { guest: 'user1', room: exampleRoom.room_name, checkIn: '2027-05-01', nights: 2, guests: 1, pets: 0 }
+          ),
+          responses: {
+            302: redirect('Booking held, continue to payment', '/checkout?reservation=1'),
+            400: html('Booking Error: missing fields, invalid date, unknown room or room rules not met'),
+            403: csrfRejected,
+            409: html('Booking Error: Room Unavailable (sold out)')
+          }
+        }
+      },
+      '/overview': {
+        get: {
+          tags: ['Booking'],
+          summary: 'Current Bookings of the logged in user (every booking for staff and admin)',
+          parameters: [query('token', 'Token mode only')],
+          responses: { 200: html('Current Bookings'), 302: redirect('Not logged in', '/') }
+        }
+      },
+      '/checkout': {
+        get: {
+          tags: ['Booking'],
+          summary: 'Payment page for a held booking',
+          parameters: [query('reservation', 'Booking ID', { type: 'integer' }, { required: true }), query('token', 'Token mode only')],
+          responses: {
+            200: html('Payment & Checkout with itemised price breakdown'),
+            404: html('Booking Not Found'),
+            409: html('Already Paid or Payment Hold Expired')
+          }
+        },
+        post: {
+          tags: ['Booking'],
+          summary: 'Pay a held booking (status PAID)',
+          requestBody: form({ ...paymentFields, token: tokenField, _csrf: csrfField }, ['reservation', 'totalPrice', 'paymentMethod'], paymentExample),
+          responses: {
+            200: html('Payment Successful with Confirmation ID and Transaction ID'),
+            400: html('Payment Error: Price Mismatch, Payment Method Required or Payment Validation Failed'),
+            403: csrfRejected,
+            404: html('Booking Not Found'),
+            409: html('Already Paid or Payment Hold Expired')
+          }
+        }
+      },
+      '/reservations/{id}/cancel': {
+        get: {
+          tags: ['Booking'],
+          summary: 'Cancellation confirmation with fee',
+          parameters: [pathParam('id', 'Booking ID', { type: 'integer' }), query('token', 'Token mode only')],
+          responses: { 200: html('Cancel Booking'), 404: html('Booking Not Found'), 409: html('Already Cancelled or Payment Hold Expired') }
+        },
+        post: {
+          tags: ['Booking'],
+          summary: 'Cancel a booking and release the room',
+          parameters: [pathParam('id', 'Booking ID', { type: 'integer' })],
+          requestBody: form({ token: tokenField, _csrf: csrfField }, [], {}),
+          responses: { 200: html('Booking Cancelled'), 403: csrfRejected, 404: html('Booking Not Found'), 409: html('Already Cancelled or Payment Hold Expired') }
+        }
+      },
+      '/reservations/{id}/modify': {
+        get: {
+          tags: ['Booking'],
+          summary: 'Modification form',
+          parameters: [pathParam('id', 'Booking ID', { type: 'integer' }), query('token', 'Token mode only')],
+          responses: { 200: html('Modify Booking'), 404: html('Booking Not Found'), 409: html('Booking Cancelled or Payment Hold Expired') }
+        },
+        post: {
+          tags: ['Booking'],
+          summary: 'Review (without confirm) or apply (confirm=yes) new dates',
+          parameters: [pathParam('id', 'Booking ID', { type: 'integer' })],
+          requestBody: form(
+            {
+              checkIn: bookingFields.checkIn,
+              nights: bookingFields.nights,
+              confirm: { type: 'string', enum: ['yes'], description: 'Omit to get the confirmation page' },
+              token: tokenField,
+              _csrf: csrfField
+            },
+            ['checkIn', 'nights'],
+            { checkIn: '2027-06-01', nights: 3, confirm: 'yes' }
+          ),
+          responses: {
+            200: html('Confirm Changes or Booking Updated'),
+            400: html('Invalid Dates'),
+            403: csrfRejected,
+            404: html('Booking Not Found'),
+            409: html('Room Unavailable, Booking Cancelled or Payment Hold Expired')
+          }
+        }
+      },
+      '/config/login': {
+        get: {
+          tags: ['Config'],
+          summary: 'Admin login for the configuration pages',
+          security: [],
+          parameters: [query('next', 'Where to go after logging in (a /config URL)')],
+          responses: { 200: html('Workshop Configuration login form') }
+        },
+        post: {
+          tags: ['Config'],
+          summary: 'Log in as admin, sets the config_session cookie (also set by /login for the admin)',
+          security: [],
+          requestBody: form(
+            { username: { type: 'string' }, password: { type: 'string', format: 'password' }, next: { type: 'string' } },
+            ['username', 'password'],
+            { username: 'admin', password: 'password', next: '/config' }
+          ),
+          responses: { 302: redirect('Logged in', '/config'), 401: html('Invalid admin credentials') }
+        }
+      },
+      '/config/logout': {
+        get: {
+          tags: ['Config'],
+          summary: 'End the admin session',
+          security: [],
+          responses: { 302: redirect('Logged out', '/') }
+        }
+      },
+      '/config': {
+        get: {
+          tags: ['Config'],
+          summary: 'Workshop configuration page',
+          security: configSecurity,
+          responses: { 200: html('Simulation Configuration, active sessions and all bookings') }
+        },
+        post: {
+          tags: ['Config'],
+          summary: 'Update the configuration (changing authMode logs everybody out)',
+          security: configSecurity,
+          requestBody: form(
+            {
+              authMode: { type: 'string', enum: ['cookie', 'token', 'jwt'] },
+              jwtAccessSeconds: { type: 'integer', minimum: 1, description: 'JWT access token lifetime (s)' },
+              jwtRefreshSeconds: { type: 'integer', minimum: 1, description: 'JWT refresh token lifetime (s)' },
+              ...delayFields,
+              errorRate: { type: 'number', minimum: 0, maximum: 100, description: 'Chaos Mode: % of requests answered with HTTP 500' },
+              chaosRules: {
+                type: 'array',
+                items: { $ref: '#/components/schemas/ChaosRule' },
+                description: 'Per-route fault rules, posted as chaosRules[0][fault], chaosRules[0][probability], ... ' +
+                  'Rules left out are removed.'
+              },
+              rateLimitEnabled: { type: 'string', enum: ['on'], description: 'Checkbox: answer HTTP 429 once a client exceeds its rate limit' },
+              rateLimitKeyBy: { type: 'string', enum: RATE_LIMIT_KEYS, description: 'What counts as one client (anonymous requests use the IP)' },
+              rateLimitRules: {
+                type: 'array',
+                items: { $ref: '#/components/schemas/RateLimitRule' },
+                description: 'Posted as rateLimitRules[0][method], rateLimitRules[0][path], rateLimitRules[0][limit], ... Rules left out are removed.'
+              },
+              paymentHoldMinutes: { type: 'number', minimum: 1, description: 'How long unpaid bookings hold their room' },
+              capacityWorkers: { type: 'integer', minimum: 0, description: 'Simulated workers serving delayed routes (0 = unlimited)' },
+              capacityQueueSize: { type: 'integer', minimum: 0, description: 'Requests that may wait for a worker before HTTP 503' },
+              sessionAbsoluteMinutes: { type: 'number', minimum: 0, description: 'Cookie session / URL token lifetime after login (0 = never)' },
+              sessionIdleMinutes: { type: 'number', minimum: 0, description: 'Cookie session / URL token lifetime without requests (0 = never)' },
+              csrfEnabled: { type: 'string', enum: ['on'], description: 'Checkbox: require one-time _csrf fields' },
+              csrfCookie: { type: 'string', enum: ['on'], description: 'Checkbox: also require a matching XSRF-TOKEN cookie' },
+              diagnosticHeaders: { type: 'string', enum: ['on'], description: 'Checkbox: add X-Backend-Node, X-Cache and X-Auth-Mode to every response' },
+              _csrf: configCsrfField
+            },
+            ['authMode'],
+            { authMode: 'cookie', delay_login: 0, delay_reserve_type: 'lognormal', delay_reserve_median: 300, delay_reserve_sigma: 0.8, errorRate: 0, paymentHoldMinutes: 15 }
+          ),
+          responses: { 200: html('Configuration Saved (auth mode changed)'), 302: redirect('Saved', '/config'), 403: configCsrfRejected }
+        }
+      },
+      '/config/live': {
+        get: {
+          tags: ['Config'],
+          summary: 'Live dashboard: rolling charts of throughput, errors, latency per route, sessions and bookings',
+          security: configSecurity,
+          responses: { 200: html('Live Dashboard') }
+        }
+      },
+      '/config/live/events': {
+        get: {
+          tags: ['Config'],
+          summary: 'Server-Sent Events stream behind the live dashboard',
+          description: 'Starts with a `history` event holding the last 5 minutes as an array of LivePoint, ' +
+            'then sends one unnamed event with a LivePoint every second.',
+          security: configSecurity,
+          responses: {
+            200: {
+              description: 'text/event-stream, each data line is JSON',
+              content: {
+                'text/event-stream': {
+                  schema: { type: 'string' },
+                  example: 'event: history\ndata: [...]\n\ndata: {"time":1792400000000,"rps":42,"errorRate":2.4,"routes":{"POST /reserve":{"count":120,"p50":310,"p95":1040}},"bookingsPerMinute":96,"sessions":25}\n\n'
+                }
+              }
+            }
+          }
+        }
+      },
+      '/config/access-log.jtl': {
+        get: {
+          tags: ['Config'],
+          summary: 'Last 10000 requests from the access log as a JMeter CSV result file (JTL)',
+          security: configSecurity,
+          responses: {
+            200: {
+              description: 'CSV with the default JMeter columns, sent as an attachment',
+              content: {
+                'text/csv': {
+                  schema: { type: 'string' },
+                  example: 'timeStamp,elapsed,label,responseCode,responseMessage,threadName,dataType,success,failureMessage,bytes,sentBytes,grpThreads,allThreads,URL,Latency,IdleTime,Connect\n' +
+                    '1792435145266,20,POST /reserve,302,Found,user1,text,true,,45,75,1,1,http://localhost:3000/reserve,20,0,0\n'
+                }
+              }
+            }
+          }
+        }
+      },
+      '/config/settings': {
+        get: {
+          tags: ['Config'],
+          summary: 'Current config as JSON',
+          security: configSecurity,
+          responses: { 200: json('Config', { $ref: '#/components/schemas/Settings' }), 401: configUnauthorized }
+        },
+        patch: {
+          tags: ['Config'],
+          summary: 'Change some settings, the rest stays as it is',
+          security: configSecurity,
+          requestBody: jsonBody({ $ref: '#/components/schemas/Settings' }, { errorRate: 5, delays: { checkout: { type: 'lognormal', median: 800, sigma: 0.5 } }, capacity: { workers: 4 } }),
+          responses: { 200: json('Config applied', { $ref: '#/components/schemas/SettingsResult' }), 400: settingsRejected, 401: configUnauthorized }
+        },
+        put: {
+          tags: ['Config'],
+          summary: 'Known state: defaults plus the given settings (authMode kept unless given), like applying a preset',
+          security: configSecurity,
+          requestBody: jsonBody({ $ref: '#/components/schemas/Settings' }, { delays: { reserve: 300 } }),
+          responses: { 200: json('Config applied', { $ref: '#/components/schemas/SettingsResult' }), 400: settingsRejected, 401: configUnauthorized }
+        }
+      },
+      '/config/presets': {
+        get: {
+          tags: ['Config'],
+          summary: 'List the presets',
+          security: configSecurity,
+          responses: { 200: json('Presets', { type: 'array', items: { $ref: '#/components/schemas/PresetSummary' } }), 401: configUnauthorized }
+        },
+        post: {
+          tags: ['Config'],
+          summary: 'Preset form on /config: apply, delete, save the current config or import an exported preset',
+          security: configSecurity,
+          requestBody: form(
+            {
+              action: { type: 'string', enum: ['apply', 'delete', 'save', 'import'] },
+              name: { type: 'string', description: 'apply, delete and save' },
+              description: { type: 'string', description: 'save' },
+              preset: { type: 'string', description: 'import: the exported JSON' },
+              _csrf: configCsrfField
+            },
+            ['action'],
+            { action: 'apply', name: 'Lab 1 baseline' }
+          ),
+          responses: { 302: redirect('Done', '/config'), 400: html('Preset Not Saved'), 403: html('Forbidden: _csrf missing, reused or mismatched, or save, import or delete inside a team hotel') }
+        }
+      },
+      '/config/presets/{name}': {
+        parameters: [pathParam('name', 'Preset name', { type: 'string', example: 'Lab 1 baseline' })],
+        get: {
+          tags: ['Config'],
+          summary: 'Export a preset',
+          security: configSecurity,
+          parameters: [query('download', 'Any value: send as a file download')],
+          responses: { 200: json('Preset', { $ref: '#/components/schemas/Preset' }), 401: configUnauthorized, 404: presetNotFound }
+        },
+        put: {
+          tags: ['Config'],
+          summary: 'Save or import a preset: an exported preset, or just its settings',
+          security: configSecurity,
+          requestBody: jsonBody({ oneOf: [{ $ref: '#/components/schemas/Preset' }, { $ref: '#/components/schemas/Settings' }] }, { description: 'Lab 2 think times', settings: { delays: { search: 400 } } }),
+          responses: { 200: json('Saved', { $ref: '#/components/schemas/PresetSummary' }), 400: settingsRejected, 401: configUnauthorized, 403: presetsReadOnly }
+        },
+        delete: {
+          tags: ['Config'],
+          summary: 'Delete a saved preset (a bundled preset it replaced comes back)',
+          security: configSecurity,
+          responses: {
+            204: { description: 'Deleted' },
+            400: errorResponse('Bundled presets are read-only', 'Built-in Preset', 'Bundled presets can\'t be deleted.'),
+            401: configUnauthorized,
+            403: presetsReadOnly,
+            404: presetNotFound
+          }
+        }
+      },
+      '/config/presets/{name}/apply': {
+        post: {
+          tags: ['Config'],
+          summary: 'Apply a preset: defaults plus its settings',
+          security: configSecurity,
+          parameters: [pathParam('name', 'Preset name', { type: 'string', example: 'Lab 3 slow checkout' })],
+          responses: { 200: json('Config applied', { $ref: '#/components/schemas/SettingsResult' }), 401: configUnauthorized, 404: presetNotFound, 415: notJson }
+        }
+      },
+      '/config/environment': {
+        post: {
+          tags: ['Config'],
+          summary: 'Reset & Seed form on /config: reset the environment, or create seed data (optionally resetting first)',
+          security: configSecurity,
+          requestBody: form(
+            {
+              action: { type: 'string', enum: ['reset', 'seed'] },
+              count: { type: 'integer', description: 'seed: number of bookings' },
+              occupancy: { type: 'number', description: 'seed: target occupancy in percent' },
+              from: { type: 'string', format: 'date' },
+              days: { type: 'integer' },
+              seed: { type: 'string' },
+              reset: { type: 'string', description: '"on" to reset before seeding' },
+              _csrf: configCsrfField
+            },
+            ['action'],
+            { action: 'seed', occupancy: 80, days: 30, seed: 'workshop-1', reset: 'on' }
+          ),
+          responses: { 200: html('Seed Data Created'), 302: redirect('Environment reset', '/config'), 400: html('Seed Data Not Created'), 403: configCsrfRejected }
+        }
+      },
+      '/config/reset': {
+        post: {
+          tags: ['Config'],
+          summary: 'Remove every booking and log everybody out (cookie sessions, tokens, refresh tokens); config and presets stay',
+          security: configSecurity,
+          responses: {
+            200: json('What was removed', { type: 'object', properties: { cleared: { $ref: '#/components/schemas/ResetResult' } } },
+              { cleared: { reservations: 321, tokens: 4, cookieSessions: 12 } }),
+            401: configUnauthorized,
+            415: notJson
+          }
+        }
+      },
+      '/config/seed': {
+        post: {
+          tags: ['Config'],
+          summary: 'Create paid seed bookings spread over a date window per room type; the same seed gives the same bookings',
+          security: configSecurity,
+          requestBody: jsonBody({ $ref: '#/components/schemas/SeedOptions' }, { occupancy: 80, from: '2026-11-02', days: 30, seed: 'workshop-1', reset: true }),
+          responses: {
+            201: json('Seed data created', { $ref: '#/components/schemas/SeedResult' }, {
+              seed: 'workshop-1',
+              from: '2026-11-02',
+              to: '2026-12-02',
+              days: 30,
+              created: 321,
+              rooms: [{ room: roomNames[0], bookings: 180, roomNights: 480, occupancy: 80 }],
+              cleared: { reservations: 0, tokens: 0, cookieSessions: 0 }
+            }),
+            400: errorResponse('Invalid options', 'Invalid Seed Options', 'count must be a whole number from 1 to 2000.'),
+            401: configUnauthorized,
+            415: notJson
+          }
+        }
+      },
+      '/config/tenants': {
+        get: {
+          tags: ['Config'],
+          summary: 'Workshop mode: every team hotel under /t/<team>/ with its settings, bookings, sessions and recent traffic (main hotel only; browsers get the overview page)',
+          security: configSecurity,
+          responses: {
+            200: json('Teams, the main hotel first', { $ref: '#/components/schemas/TenantOverview' }),
+            401: configUnauthorized,
+            404: errorResponse('Asked inside a team hotel', 'Not Found', 'The team overview is part of the main hotel: /config/tenants.')
+          }
+        }
+      },
+      '/config/tenants/{name}': {
+        parameters: [pathParam('name', 'Team name: lowercase letters, digits and "-"', { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,31}$', example: 'red' })],
+        put: {
+          tags: ['Config'],
+          summary: 'Create a team hotel with the default config (no change when it exists)',
+          security: configSecurity,
+          responses: {
+            200: json('Team already existed', { $ref: '#/components/schemas/Tenant' }),
+            201: json('Team created', { $ref: '#/components/schemas/Tenant' }),
+            400: errorResponse('Invalid name, workshop mode off or all team hotels in use', 'Invalid Team', 'All 50 team environments are in use. Delete one first.'),
+            401: configUnauthorized
+          }
+        },
+        delete: {
+          tags: ['Config'],
+          summary: 'Delete a team hotel and everything in it',
+          security: configSecurity,
+          responses: {
+            204: { description: 'Deleted' },
+            400: errorResponse('The main hotel (default) stays', 'Main Hotel', 'The main hotel can\'t be deleted.'),
+            401: configUnauthorized,
+            404: tenantNotFound
+          }
+        }
+      },
+      '/config/tenants/{name}/reset': {
+        post: {
+          tags: ['Config'],
+          summary: 'Reset one team hotel like /config/reset ("default" is the main hotel)',
+          security: configSecurity,
+          parameters: [pathParam('name', 'Team name', { type: 'string', example: 'red' })],
+          responses: {
+            200: json('What was removed', { type: 'object', properties: { cleared: { $ref: '#/components/schemas/ResetResult' } } }),
+            401: configUnauthorized,
+            404: tenantNotFound,
+            415: notJson
+          }
+        }
+      },
+      '/config/test-plan.jmx': {
+        get: {
+          tags: ['Config'],
+          summary: 'JMeter test plan for the current config: the booking flow with correlation, assertions and a users.csv data set',
+          security: configSecurity,
+          responses: {
+            200: {
+              description: 'Test plan (.jmx) for the active auth mode, sent as an attachment',
+              content: { 'application/xml': { schema: { type: 'string' } } }
+            },
+            401: configUnauthorized
+          }
+        }
+      },
+      '/config/data/{name}.csv': {
+        get: {
+          tags: ['Config'],
+          summary: 'Test data for a CSV Data Set Config, generated from the current rules (logins, stays, payments)',
+          security: configSecurity,
+          parameters: [
+            pathParam('name', 'users: user<N> / Password<N>; stays: /reserve fields; payments: /checkout fields', { type: 'string', enum: ['users', 'stays', 'payments'] }),
+            query('count', 'Rows', { type: 'integer', minimum: 1, maximum: 10000, default: 100 }),
+            query('invalid', 'Percentage of rows meant to be rejected (valid=false, reason says why)', { type: 'number', minimum: 0, maximum: 100, default: 0 }),
+            query('seed', 'Same seed, same file; random when left out (sent back in X-Data-Seed)'),
+            query('method', 'payments only: limit to one payment method', { type: 'string', enum: ['all', 'creditcard', 'paypal', 'ideal'], default: 'all' })
+          ],
+          responses: {
+            200: {
+              description: 'CSV with a header line, sent as an attachment',
+              headers: { 'X-Data-Seed': { schema: { type: 'string' }, description: 'Seed used, to download the same file again' } },
+              content: {
+                'text/csv': {
+                  schema: { type: 'string' },
+                  example: 'guest,room,checkIn,nights,guests,pets,valid,reason\n' +
+                    `Finn Bakker,${roomNames[0]},2026-11-27,4,1,0,true,\n` +
+                    `Daan Peeters,${roomNames[0]},24-12-2026,2,1,0,false,date not YYYY-MM-DD\n`
+                }
+              }
+            },
+            400: errorResponse('Invalid options', 'Invalid Data Options', 'count must be a whole number from 1 to 10000.'),
+            401: configUnauthorized,
+            404: errorResponse('Unknown file', 'Data File Not Found', 'Available: users.csv, stays.csv, payments.csv.')
+          }
+        }
+      },
+      '/config/latency': {
+        get: {
+          tags: ['Config'],
+          summary: 'Latency profile per route with the delays sampled so far',
+          security: configSecurity,
+          responses: {
+            200: json('Report keyed by route', { type: 'object', additionalProperties: { $ref: '#/components/schemas/LatencyReport' } }, {
+              reserve: {
+                profile: { type: 'lognormal', ms: 0, min: 0, max: 0, mean: 0, stddev: 0, median: 300, sigma: 0.8, spikePercent: 0, spikeMs: 0 },
+                description: 'log-normal median 300 ms, σ 0.8',
+                expectedMeanMs: 413,
+                sampled: { count: 250, mean: 409, p50: 297, p95: 1107, p99: 1893, max: 2610 }
+              }
+            })
+          }
+        }
+      },
+      '/config/scenario': {
+        get: {
+          tags: ['Config'],
+          summary: 'Scenario runner status: phase, countdown to the next step, timeline and log',
+          security: configSecurity,
+          responses: {
+            200: json('Status (just { "state": "idle" } before the first run)', { $ref: '#/components/schemas/ScenarioStatus' }, {
+              state: 'running',
+              name: 'Friday incident',
+              phase: 'Slow reservations',
+              elapsed: '3m 12s',
+              total: '8m 00s',
+              next: { label: 'Checkout outage', in: '1m 48s' },
+              steps: [{ at: '2m 00s', duration: null, label: 'Slow reservations' }],
+              log: [{ time: '2026-10-19T09:02:00.000Z', elapsed: '2m 00s', message: 'Phase: Slow reservations' }]
+            })
+          }
+        },
+        post: {
+          tags: ['Config'],
+          summary: 'Start, pause, resume or abort a scenario (abort restores the settings it changed)',
+          security: configSecurity,
+          requestBody: form(
+            {
+              action: { type: 'string', enum: ['start', 'pause', 'resume', 'abort'] },
+              script: { type: 'string', description: 'start only: YAML or JSON timeline, see scenarios/friday-incident.yaml' },
+              _csrf: configCsrfField
+            },
+            ['action'],
+            { action: 'start', script: 'steps:\n  - { at: 1m, set: { delays.reserve: 800 } }\n  - { at: 3m, duration: 60s, set: { errorRate: 20 } }\n  - { at: 5m, reset: true }' }
+          ),
+          responses: { 302: redirect('Done', '/config'), 400: html('Scenario Not Started: invalid script or one already running'), 403: configCsrfRejected }
+        }
+      },
+      '/api/v1/login': {
+        post: {
+          tags: ['API'],
+          summary: 'Log in',
+          security: [],
+          requestBody: jsonBody(
+            { type: 'object', properties: { username: { type: 'string' }, password: { type: 'string' } }, required: ['username', 'password'] },
+            { username: 'user1', password: 'Password1' }
+          ),
+          responses: {
+            200: json('Logged in (sets the cookie in cookie mode)', {
+              type: 'object',
+              properties: {
+                username: { type: 'string' },
+                authMode: { type: 'string' },
+                token: { type: 'string', description: 'Token mode only' },
+                tokenType: { type: 'string', description: 'JWT mode only' },
+                accessToken: { type: 'string', description: 'JWT mode only' },
+                expiresIn: { type: 'integer', description: 'JWT mode only (s)' },
+                refreshToken: { type: 'string', description: 'JWT mode only' },
+                refreshExpiresIn: { type: 'integer', description: 'JWT mode only (s)' }
+              }
+            }, { username: 'user1', authMode: 'token', token: 'dXNlcjE=.3f2a9c...' }),
+            401: errorResponse('Invalid credentials', 'Invalid Credentials', 'Valid credentials follow the pattern user<number> / Password<same-number>.')
+          }
+        }
+      },
+      '/api/v1/logout': {
+        post: {
+          tags: ['API'],
+          summary: 'Log out',
+          responses: {
+            200: json('Logged out', { type: 'object' }, { username: 'user1', loggedOut: true }),
+            401: { $ref: '#/components/responses/Unauthorized' }
+          }
+        }
+      },
+      '/api/v1/token/refresh': {
+        post: {
+          tags: ['API'],
+          summary: 'Exchange a refresh token for new tokens (jwt mode, refresh tokens are single use)',
+          security: [],
+          requestBody: jsonBody(
+            { type: 'object', properties: { refreshToken: { type: 'string' } }, required: ['refreshToken'] },
+            { refreshToken: '9b1d0c...' }
+          ),
+          responses: {
+            200: json('New tokens', { $ref: '#/components/schemas/JwtTokens' }),
+            400: errorResponse('Not in jwt mode', 'Wrong Auth Mode', 'Token refresh is only available in JWT mode (current mode: cookie).'),
+            401: errorResponse('Unknown, used or expired refresh token', 'Invalid Refresh Token', 'The refresh token is unknown, already used or expired. Log in again.')
+          }
+        }
+      },
+      '/api/v1/rooms': {
+        get: {
+          tags: ['API'],
+          summary: 'List rooms',
+          responses: {
+            200: json('Rooms', {
+              type: 'object',
+              properties: { count: { type: 'integer' }, rooms: { type: 'array', items: { $ref: '#/components/schemas/RoomSummary' } } }
+            }),
+            401: { $ref: '#/components/responses/Unauthorized' }
+          }
+        }
+      },
+      '/api/v1/rooms/{id}': {
+        get: {
+          tags: ['API'],
+          summary: 'Room details (the full rooms.json entry)',
+          parameters: [pathParam('id', 'room_id', { type: 'string', enum: roomIds })],
+          responses: {
+            200: json('Room', { type: 'object' }),
+            401: { $ref: '#/components/responses/Unauthorized' },
+            404: errorResponse('Unknown room', 'Room Not Found', 'No room with id XYZ.')
+          }
+        }
+      },
+      '/api/v1/search': {
+        get: {
+          tags: ['API'],
+          summary: 'Search rooms (same filters as /search)',
+          parameters: [
+            query('checkIn', 'YYYY-MM-DD', { type: 'string', format: 'date' }),
+            query('checkOut', 'YYYY-MM-DD', { type: 'string', format: 'date' }),
+            query('nights', 'Number of nights', { type: 'integer' }),
+            query('guests', 'Minimum capacity', { type: 'integer' }),
+            query('maxPrice', 'Maximum price per night', { type: 'number' }),
+            query('category', 'Room category', { type: 'string', enum: ['All', ...categories] })
+          ],
+          responses: {
+            200: json('Matching rooms', {
+              type: 'object',
+              properties: {
+                filters: { type: 'object' },
+                count: { type: 'integer' },
+                rooms: { type: 'array', items: { $ref: '#/components/schemas/RoomSummary' } }
+              }
+            }),
+            400: errorResponse('Invalid date', 'Invalid Date Format', 'Dates must be in format YYYY-MM-DD (e.g., 2026-01-23).'),
+            401: { $ref: '#/components/responses/Unauthorized' }
+          }
+        }
+      },
+      '/api/v1/availability': {
+        get: {
+          tags: ['API'],
+          summary: 'Sold-out dates and free rooms per night',
+          parameters: [
+            query('room', 'room_id or room_name', { type: 'string' }, { required: true, example: exampleRoom.room_id }),
+            query('checkIn', 'YYYY-MM-DD', { type: 'string', format: 'date' }),
+            query('nights', 'Number of nights', { type: 'integer', minimum: 1, maximum: 14 })
+          ],
+          responses: {
+            200: json('Availability', { type: 'object' }, {
+              room: exampleRoom.room_name,
+              inventory: 20,
+              soldOutDates: [],
+              checkIn: '2027-05-01',
+              nights: 1,
+              available: true,
+              perNight: [{ date: '2027-05-01', booked: 3, free: 17 }]
+            }),
+            400: errorResponse('Invalid date or nights', 'Invalid Date Format', 'Check-in date must be in format YYYY-MM-DD (e.g., 2026-01-23).'),
+            401: { $ref: '#/components/responses/Unauthorized' },
+            404: errorResponse('Unknown room', 'Room Not Found', 'Pass a valid room_id or room_name as ?room=.')
+          }
+        }
+      },
+      '/api/v1/reservations': {
+        get: {
+          tags: ['API'],
+          summary: 'Your bookings (every booking for staff and admin)',
+          responses: {
+            200: json('Bookings', {
+              type: 'object',
+              properties: { count: { type: 'integer' }, reservations: { type: 'array', items: { $ref: '#/components/schemas/Reservation' } } }
+            }),
+            401: { $ref: '#/components/responses/Unauthorized' }
+          }
+        },
+        post: {
+          tags: ['API'],
+          summary: 'Create a booking (status PENDING_PAYMENT)',
+          requestBody: jsonBody(
+            { type: 'object', properties: { guest: { type: 'string' }, ...bookingFields }, required: ['room', 'checkIn', 'nights'] },
+            { room: exampleRoom.room_name, checkIn: '2027-05-01', nights: 2, guests: 1 }
+          ),
+          responses: {
+            201: json('Booking held', {
+              type: 'object',
+              properties: { reservation: { $ref: '#/components/schemas/Reservation' }, quote: { $ref: '#/components/schemas/Quote' } }
+            }),
+            400: errorResponse('Invalid booking', 'Booking Rules Not Met', 'Executive Suite requires a minimum stay of 2 nights.'),
+            401: { $ref: '#/components/responses/Unauthorized' },
+            409: errorResponse('Sold out', 'Room Unavailable', 'Sorry, all Executive Suite rooms are already booked for these dates.')
+          }
+        }
+      },
+      '/api/v1/reservations/{id}': {
+        get: {
+          tags: ['API'],
+          summary: 'One of your bookings (any booking for staff and admin)',
+          parameters: [pathParam('id', 'Booking ID', { type: 'integer' })],
+          responses: {
+            200: json('Booking', { $ref: '#/components/schemas/Reservation' }),
+            401: { $ref: '#/components/responses/Unauthorized' },
+            404: errorResponse('Unknown booking', 'Booking Not Found', 'This booking does not exist or belongs to another guest.')
+          }
+        }
+      },
+      '/api/v1/checkout': {
+        post: {
+          tags: ['API'],
+          summary: 'Pay a held booking',
+          requestBody: jsonBody({ type: 'object', properties: paymentFields, required: ['reservation', 'totalPrice', 'paymentMethod'] }, paymentExample),
+          responses: {
+            200: json('Payment Successful', {
+              type: 'object',
+              properties: {
+                confirmationId: { type: 'string' },
+                transactionId: { type: 'string' },
+                amountPaid: { type: 'number' },
+                quote: { $ref: '#/components/schemas/Quote' },
+                reservation: { $ref: '#/components/schemas/Reservation' }
+              }
+            }),
+            400: errorResponse('Validation failed', 'Price Mismatch', 'The submitted total €1 does not match the booking total of €605.00.'),
+            401: { $ref: '#/components/responses/Unauthorized' },
+            404: errorResponse('Unknown booking', 'Booking Not Found', 'Select a booking to pay from your bookings overview.'),
+            409: errorResponse('Not payable', 'Payment Hold Expired', 'Booking #1 was not paid within 15 minutes and the room has been released.')
+          }
+        }
+      },
+      '/metrics': {
+        get: {
+          tags: ['Monitoring'],
+          summary: 'Prometheus metrics: requests, latency split into injected delay / queue wait / processing, sessions, bookings, process',
+          security: [],
+          responses: {
+            200: {
+              description: 'Prometheus text exposition format 0.0.4',
+              content: {
+                'text/plain': {
+                  schema: { type: 'string' },
+                  example: '# TYPE hotel_http_requests_total counter\nhotel_http_requests_total{method="POST",route="/reserve",status="302"} 42\n'
+                }
+              }
+            }
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          tags: ['Docs'],
+          summary: 'This OpenAPI document',
+          security: [],
+          responses: { 200: json('OpenAPI 3 document', { type: 'object' }) }
+        }
+      },
+      '/docs': {
+        get: {
+          tags: ['Docs'],
+          summary: 'Interactive API explorer',
+          security: [],
+          responses: { 200: html('Explorer page') }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'username', description: 'Cookie mode (default)' },
+        tokenAuth: { type: 'apiKey', in: 'query', name: 'token', description: 'Token mode, value from the login redirect or /api/v1/login' },
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'JWT mode, accessToken from /api/v1/login. Expired or invalid tokens get 401' },
+        configSession: { type: 'apiKey', in: 'cookie', name: 'config_session', description: 'Admin session for /config, from /config/login or logging in as admin' },
+        configBasic: { type: 'http', scheme: 'basic', description: 'admin / password for scripts calling /config routes (on the main hotel admin with INSTRUCTOR_PASSWORD when that is set)' }
+      },
+      responses: {
+        Unauthorized: errorResponse('Not logged in, or the session expired (error "Session Expired")', 'Unauthorized', 'Missing or invalid session cookie.')
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' }, message: { type: 'string' }, hint: { type: 'string' } },
+          required: ['error', 'message']
+        },
+        JwtTokens: {
+          type: 'object',
+          properties: {
+            tokenType: { type: 'string', example: 'Bearer' },
+            accessToken: { type: 'string' },
+            expiresIn: { type: 'integer' },
+            refreshToken: { type: 'string' },
+            refreshExpiresIn: { type: 'integer' }
+          }
+        },
+        RoomSummary: {
+          type: 'object',
+          properties: {
+            room_id: { type: 'string' },
+            room_name: { type: 'string' },
+            category: { type: 'string' },
+            description: { type: 'string' },
+            max_guests: { type: 'integer' },
+            base_price_per_night: { type: 'number' },
+            currency: { type: 'string' },
+            minimum_stay_nights: { type: 'integer' },
+            total_rooms_of_type: { type: 'integer' }
+          }
+        },
+        Reservation: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            guest: { type: 'string' },
+            room: { type: 'string' },
+            roomNumber: { type: 'string' },
+            checkIn: { type: 'string', format: 'date' },
+            nights: { type: 'integer' },
+            guests: { type: 'integer' },
+            pets: { type: 'integer' },
+            status: { type: 'string', enum: ['PENDING_PAYMENT', 'PAID', 'CANCELLED', 'EXPIRED'] },
+            bookedBy: { type: 'string' },
+            bookedAt: { type: 'string' },
+            holdExpiresAt: { type: 'string', format: 'date-time', nullable: true },
+            confirmationId: { type: 'string', nullable: true },
+            transactionId: { type: 'string', nullable: true },
+            amountPaid: { type: 'number', nullable: true },
+            priceDifference: { type: 'number', nullable: true, description: 'After a change to a paid booking: new stay total minus amountPaid (positive: still to pay, negative: refunded)' }
+          }
+        },
+        LatencyProfile: {
+          type: 'object',
+          description: 'A plain number (ms) is accepted as a constant profile',
+          properties: {
+            type: { type: 'string', enum: DISTRIBUTIONS },
+            ms: { type: 'number' },
+            min: { type: 'number' },
+            max: { type: 'number' },
+            mean: { type: 'number' },
+            stddev: { type: 'number' },
+            median: { type: 'number' },
+            sigma: { type: 'number' },
+            spikePercent: { type: 'number' },
+            spikeMs: { type: 'number' }
+          }
+        },
+        LatencyReport: {
+          type: 'object',
+          properties: {
+            profile: { $ref: '#/components/schemas/LatencyProfile' },
+            description: { type: 'string' },
+            expectedMeanMs: { type: 'integer' },
+            sampled: {
+              type: 'object',
+              nullable: true,
+              description: 'null until the route has been requested',
+              properties: {
+                count: { type: 'integer' },
+                mean: { type: 'integer' },
+                p50: { type: 'integer' },
+                p95: { type: 'integer' },
+                p99: { type: 'integer' },
+                max: { type: 'integer' }
+              }
+            }
+          }
+        },
+        ChaosRule: {
+          type: 'object',
+          properties: {
+            fault: { type: 'string', enum: Object.keys(FAULTS), description: Object.entries(FAULTS).map(([fault, label]) => `${fault}: ${label}`).join('; ') },
+            probability: { type: 'number', minimum: 0, maximum: 100, description: '% of matching requests' },
+            method: { type: 'string', enum: METHODS },
+            path: { type: 'string', description: 'Exact path, prefix ending in *, or empty for all routes', example: '/api/v1/*' }
+          },
+          required: ['fault', 'probability']
+        },
+        RateLimitRule: {
+          type: 'object',
+          properties: {
+            method: { type: 'string', enum: METHODS },
+            path: { type: 'string', description: 'Exact path, prefix ending in *, or empty for all routes', example: '/reserve' },
+            limit: { type: 'integer', minimum: 1, description: 'Requests allowed per period (burst size)' },
+            perSeconds: { type: 'number', minimum: 1, description: 'Period in seconds' }
+          },
+          required: ['limit', 'perSeconds']
+        },
+        Settings: {
+          type: 'object',
+          description: 'The simulation config. Requests may send any subset; groups (rateLimit, capacity, jwt, csrf, sessions, delays) merge key by key',
+          properties: {
+            delays: { type: 'object', properties: Object.fromEntries(delayRoutes.map(route => [route, { $ref: '#/components/schemas/LatencyProfile' }])) },
+            errorRate: { type: 'number', minimum: 0, maximum: 100 },
+            chaosRules: { type: 'array', items: { $ref: '#/components/schemas/ChaosRule' } },
+            rateLimit: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                keyBy: { type: 'string', enum: RATE_LIMIT_KEYS },
+                rules: { type: 'array', items: { $ref: '#/components/schemas/RateLimitRule' } }
+              }
+            },
+            paymentHoldMinutes: { type: 'number', minimum: 1 },
+            capacity: { type: 'object', properties: { workers: { type: 'integer', minimum: 0 }, queueSize: { type: 'integer', minimum: 0 } } },
+            jwt: { type: 'object', properties: { accessTokenSeconds: { type: 'integer', minimum: 1 }, refreshTokenSeconds: { type: 'integer', minimum: 1 } } },
+            csrf: { type: 'object', properties: { enabled: { type: 'boolean' }, cookie: { type: 'boolean' } } },
+            sessions: { type: 'object', properties: { absoluteMinutes: { type: 'number', minimum: 0 }, idleMinutes: { type: 'number', minimum: 0 } } },
+            diagnosticHeaders: { type: 'boolean' },
+            authMode: { type: 'string', enum: ['cookie', 'token', 'jwt'], description: 'Changing it logs out every user' }
+          }
+        },
+        SettingsResult: {
+          type: 'object',
+          properties: {
+            config: { $ref: '#/components/schemas/Settings' },
+            loggedOut: { type: 'boolean', description: 'true when authMode changed and every user was logged out' }
+          }
+        },
+        Preset: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', maxLength: 60 },
+            description: { type: 'string' },
+            settings: { $ref: '#/components/schemas/Settings' }
+          },
+          required: ['name', 'settings']
+        },
+        PresetSummary: {
+          type: 'object',
+          properties: { name: { type: 'string' }, description: { type: 'string' }, builtIn: { type: 'boolean', description: 'Bundled in presets/, read-only' } }
+        },
+        Tenant: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: '"default" is the main hotel' },
+            path: { type: 'string', example: '/t/red/' },
+            createdAt: { type: 'string', format: 'date-time' },
+            authMode: { type: 'string', enum: ['cookie', 'token', 'jwt'] },
+            errorRate: { type: 'number' },
+            chaosRules: { type: 'integer' },
+            scenario: { type: 'string', example: 'idle' },
+            reservations: { type: 'integer' },
+            paid: { type: 'integer' },
+            sessions: { type: 'integer', description: 'Cookie sessions, tokens and refresh tokens' },
+            requestsPerSecond: { type: 'number', description: 'Average over the last 10 seconds, without /config and /metrics' },
+            errorPercent: { type: 'number', description: '4xx, 5xx and aborted responses in the last 10 seconds' }
+          }
+        },
+        TenantOverview: {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', enum: ['auto', 'manual', 'off'], description: 'TENANTS setting' },
+            max: { type: 'integer', description: 'Team hotels allowed at the same time (TENANTS_MAX)' },
+            tenants: { type: 'array', items: { $ref: '#/components/schemas/Tenant' } }
+          }
+        },
+        ResetResult: {
+          type: 'object',
+          properties: {
+            reservations: { type: 'integer' },
+            tokens: { type: 'integer', description: 'API tokens and refresh tokens' },
+            cookieSessions: { type: 'integer' }
+          }
+        },
+        SeedOptions: {
+          type: 'object',
+          description: 'count and/or occupancy; with both, seeding stops at whichever is reached first',
+          properties: {
+            count: { type: 'integer', minimum: 1, maximum: 2000, description: 'Bookings, split over the room types by inventory' },
+            occupancy: { type: 'number', minimum: 0, maximum: 100, exclusiveMinimum: true, description: 'Target occupancy per room type in percent' },
+            from: { type: 'string', format: 'date', description: 'First night (default tomorrow)' },
+            days: { type: 'integer', minimum: 1, maximum: 365, default: 30 },
+            seed: { type: 'string', description: 'Number or text (letters, digits, _ . : -); random and returned when left out' },
+            reset: { type: 'boolean', default: false, description: 'Reset the environment first' }
+          }
+        },
+        SeedResult: {
+          type: 'object',
+          properties: {
+            seed: { type: 'string' },
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date', description: 'Check-out date of the last night in the window' },
+            days: { type: 'integer' },
+            created: { type: 'integer' },
+            rooms: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  room: { type: 'string', enum: roomNames },
+                  bookings: { type: 'integer' },
+                  roomNights: { type: 'integer' },
+                  occupancy: { type: 'number', description: 'Percent of the room nights in the window booked, seed and other bookings' }
+                }
+              }
+            },
+            cleared: { allOf: [{ $ref: '#/components/schemas/ResetResult' }], nullable: true }
+          }
+        },
+        ScenarioStatus: {
+          type: 'object',
+          properties: {
+            state: { type: 'string', enum: ['idle', 'running', 'paused', 'finished', 'aborted'] },
+            name: { type: 'string' },
+            phase: { type: 'string' },
+            elapsed: { type: 'string' },
+            total: { type: 'string' },
+            next: { type: 'object', nullable: true, properties: { label: { type: 'string' }, in: { type: 'string' } } },
+            steps: {
+              type: 'array',
+              items: { type: 'object', properties: { at: { type: 'string' }, duration: { type: 'string', nullable: true }, label: { type: 'string' } } }
+            },
+            log: {
+              type: 'array',
+              items: { type: 'object', properties: { time: { type: 'string', format: 'date-time' }, elapsed: { type: 'string' }, message: { type: 'string' } } }
+            }
+          },
+          required: ['state']
+        },
+        LivePoint: {
+          type: 'object',
+          properties: {
+            time: { type: 'integer', description: 'End of the second, ms since the Unix epoch' },
+            rps: { type: 'integer', description: 'Requests finished in that second (/config and /metrics excluded)' },
+            errorRate: { type: 'number', description: '% of those answered with 4xx/5xx or aborted' },
+            routes: {
+              type: 'object',
+              description: 'Keyed by "METHOD /route", over the last 10 seconds',
+              additionalProperties: { type: 'object', properties: { count: { type: 'integer' }, p50: { type: 'integer' }, p95: { type: 'integer' } } }
+            },
+            bookingsPerMinute: { type: 'integer', description: 'Reservations created in the last 60 seconds' },
+            sessions: { type: 'integer', description: 'Active cookie and token sessions' }
+          }
+        },
+        Quote: {
+          type: 'object',
+          properties: {
+            currency: { type: 'string' },
+            lines: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { label: { type: 'string' }, detail: { type: 'string' }, amount: { type: 'number' } }
+              }
+            },
+            total: { type: 'number' },
+            depositRequired: { type: 'boolean' },
+            prepaymentRequired: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  }
+}
+
+module.exports = { buildOpenApiDocument }
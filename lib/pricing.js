@@ -0,0 +1,126 @@
+// --- PRICING ENGINE ---
+// Computes stay prices from the room definitions in rooms.json.
+// The server is the only source of truth for totals: /checkout compares the
+// posted totalPrice against quoteStay() and rejects anything else.
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+// One line per tax in pricing.taxes (skipped when taxes_included is true)
+const taxLines = (pricing, subtotal, { nights, guests }) => {
+  if (pricing.taxes_included) return []
+  return (pricing.taxes || []).map(tax => {
+    let amount = 0
+    let detail = ''
+    switch (tax.type) {
+      case 'per_person_per_night':
+        amount = tax.amount * guests * nights
+        detail = `€${tax.amount.toFixed(2)} × ${guests} guest(s) × ${nights} night(s)`
+        break
+      case 'per_night':
+        amount = tax.amount * nights
+        detail = `€${tax.amount.toFixed(2)} × ${nights} night(s)`
+        break
+      case 'percentage':
+        amount = subtotal * tax.amount / 100
+        detail = `${tax.amount}% of €${subtotal.toFixed(2)}`
+        break
+      default:
+        amount = tax.amount || 0
+        detail = 'per stay'
+    }
+    return { label: tax.name, detail, amount: round(amount) }
+  })
+}
+
+// Itemised quote for a stay
+// Returns { currency, lines: [{ label, detail, amount }], total, depositRequired, prepaymentRequired }
+const quoteStay = (room, { nights, guests = 1, pets = 0 }) => {
+  const pricing = room.pricing || {}
+  const petPolicy = (room.availability && room.availability.pets) || {}
+  const nightly = pricing.base_price_per_night || 0
+
+  const lines = [{
+    label: 'Room',
+    detail: `€${nightly.toFixed(2)} × ${nights} night(s)`,
+    amount: round(nightly * nights)
+  }]
+
+  if (pets > 0 && petPolicy.fee_per_night) {
+    lines.push({
+      label: 'Pet fee',
+      detail: `€${petPolicy.fee_per_night.toFixed(2)} × ${pets} pet(s) × ${nights} night(s)`,
+      amount: round(petPolicy.fee_per_night * pets * nights)
+    })
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0)
+  lines.push(...taxLines(pricing, subtotal, { nights, guests }))
+
+  return {
+    currency: pricing.currency || 'EUR',
+    lines,
+    total: round(lines.reduce((sum, line) => sum + line.amount, 0)),
+    depositRequired: !!pricing.deposit_required,
+    prepaymentRequired: !!pricing.prepayment_required
+  }
+}
+
+// Longest stay that can be booked; every night of a stay is walked for availability
+const MAX_STAY_NIGHTS = 14
+
+const isValidNights = (nights) => Number.isInteger(nights) && nights >= 1 && nights <= MAX_STAY_NIGHTS
+
+// Checks a requested stay against the room's rules, returns an error message or null
+const checkStayRules = (room, { nights, guests = 1, pets = 0 }) => {
+  if (!isValidNights(nights)) return `Nights must be a whole number between 1 and ${MAX_STAY_NIGHTS}.`
+  const minimumStay = (room.pricing && room.pricing.minimum_stay_nights) || 1
+  if (nights < minimumStay) {
+    return `${room.room_name} requires a minimum stay of ${minimumStay} nights.`
+  }
+  if (!Number.isInteger(guests) || guests < 1 || guests > room.occupancy.max_guests) {
+    return `${room.room_name} accommodates 1 to ${room.occupancy.max_guests} guest(s).`
+  }
+  const petPolicy = (room.availability && room.availability.pets) || {}
+  if (!Number.isInteger(pets) || pets < 0) return 'Number of pets must be a whole number.'
+  if (pets > 0 && !petPolicy.allowed) return `Pets are not allowed in the ${room.room_name}.`
+  return null
+}
+
+// True when a client-supplied total matches the server quote (to the cent)
+const totalMatches = (quote, claimedTotal) => {
+  const claimed = Number(claimedTotal)
+  return Number.isFinite(claimed) && Math.abs(claimed - quote.total) < 0.005
+}
+
+// Applies pricing.cancellation_policy and refundable to a booking
+// Returns { free, penalty, stayTotal, reason }
+const getCancellationTerms = (room, reservation, now = new Date()) => {
+  const pricing = (room && room.pricing) || {}
+  const policy = pricing.cancellation_policy || {}
+  const stayTotal = room ? quoteStay(room, reservation).total : 0
+
+  if (reservation.status === 'PENDING_PAYMENT') {
+    return { free: true, penalty: 0, stayTotal, reason: 'Not paid yet' }
+  }
+
+  if (!pricing.refundable) {
+    return { free: false, penalty: stayTotal, stayTotal, reason: 'Non-refundable rate' }
+  }
+
+  const freeUntil = policy.free_cancellation_until ? new Date(policy.free_cancellation_until) : null
+  if (freeUntil && now <= freeUntil) {
+    return { free: true, penalty: 0, stayTotal, reason: `Free cancellation until ${freeUntil.toLocaleString()}` }
+  }
+
+  const penalty = policy.penalty_after === 'First night charge' ? (pricing.base_price_per_night || 0) : stayTotal
+  return { free: false, penalty, stayTotal, reason: `Penalty: ${policy.penalty_after || 'Full amount'}` }
+}
+
+module.exports = {
+  MAX_STAY_NIGHTS,
+  isValidNights,
+  quoteStay,
+  checkStayRules,
+  totalMatches,
+  getCancellationTerms
+}
@@ -0,0 +1,95 @@
+// --- RATE LIMITING ---
+// Token buckets per rule and client: a rule allows `limit` requests per `perSeconds`,
+// refilled continuously, so short bursts pass and sustained hammering gets HTTP 429.
+// Rules use the same method/path filters as the chaos rules; the first matching rule applies.
+const { METHODS, matchesRule } = require('./chaos')
+
+// What identifies a client: the logged in user, the session credential (cookie, URL token
+// or Bearer token) or the IP address. Anonymous requests always fall back to the IP.
+const KEYS = ['user', 'token', 'ip']
+
+// Throttled clients counted for the top list; past this the least throttled one makes room,
+// so a load test with fresh IPs or tokens can't grow the map for the life of the process
+const MAX_TRACKED_CLIENTS = 1000
+
+// Cleans a rule from the /config form (or saved config); returns null for an empty row
+const normalizeLimitRule = (rule) => {
+  if (!rule) return null
+  const limit = Math.floor(Number(rule.limit))
+  const perSeconds = Number(rule.perSeconds)
+  if (!(limit > 0) || !(perSeconds > 0)) return null
+  const method = METHODS.includes(String(rule.method).toUpperCase()) ? String(rule.method).toUpperCase() : 'ANY'
+  return { method, path: String(rule.path || '').trim(), limit, perSeconds }
+}
+
+const createRateLimiter = () => {
+  // Maps "<rule index>|<client>" -> { tokens, updatedAt }
+  const buckets = new Map()
+  let throttledByRule = []
+  let throttledByClient = new Map()
+
+  const forgetLeastThrottled = () => {
+    let least = null
+    for (const [client, count] of throttledByClient) {
+      if (least === null || count < throttledByClient.get(least)) least = client
+    }
+    throttledByClient.delete(least)
+  }
+
+  // Takes one token for this client, returns { allowed, limit, remaining, retryAfter, reset } (seconds)
+  const take = (index, rule, client, now = Date.now()) => {
+    const id = `${index}|${client}`
+    const perMs = rule.limit / (rule.perSeconds * 1000)
+    const bucket = buckets.get(id) || { tokens: rule.limit, updatedAt: now }
+    bucket.tokens = Math.min(rule.limit, bucket.tokens + (now - bucket.updatedAt) * perMs)
+    bucket.updatedAt = now
+    buckets.set(id, bucket)
+
+    const allowed = bucket.tokens >= 1
+    if (allowed) {
+      bucket.tokens -= 1
+    } else {
+      throttledByRule[index] = (throttledByRule[index] || 0) + 1
+      if (!throttledByClient.has(client) && throttledByClient.size >= MAX_TRACKED_CLIENTS) forgetLeastThrottled()
+      throttledByClient.set(client, (throttledByClient.get(client) || 0) + 1)
+    }
+    return {
+      allowed,
+      limit: rule.limit,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / perMs / 1000),
+      reset: Math.ceil((rule.limit - bucket.tokens) / perMs / 1000)
+    }
+  }
+
+  // First rule matching the request, as [index, rule], or null
+  const findRule = (rules, method, path) => {
+    const index = rules.findIndex(rule => matchesRule(rule, method, path))
+    return index === -1 ? null : [index, rules[index]]
+  }
+
+  // Drops buckets that have refilled completely, they behave exactly like new ones
+  const sweep = (rules, now = Date.now()) => {
+    for (const [id, bucket] of buckets) {
+      const rule = rules[Number(id.split('|')[0])]
+      if (!rule || now - bucket.updatedAt >= rule.perSeconds * 1000) buckets.delete(id)
+    }
+  }
+
+  // Forgets all buckets and counters (after the rules change)
+  const reset = () => {
+    buckets.clear()
+    throttledByRule = []
+    throttledByClient = new Map()
+  }
+
+  const getStats = () => ({
+    total: throttledByRule.reduce((sum, count) => sum + (count || 0), 0),
+    byRule: throttledByRule,
+    topClients: [...throttledByClient.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10)
+  })
+
+  return { take, findRule, sweep, reset, getStats }
+}
+
+module.exports = { KEYS, normalizeLimitRule, createRateLimiter }
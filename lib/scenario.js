@@ -0,0 +1,215 @@
+// --- SCENARIO RUNNER ---
+// Plays a timeline of config changes so workshop incidents are reproducible:
+//
+//   name: Friday incident
+//   steps:
+//     - at: 2m
+//       set: { delays.reserve: 800 }
+//     - at: 5m
+//       duration: 60s          # reverted to the previous values afterwards
+//       set: { errorRate: 20 }
+//     - at: 8m
+//       reset: true            # back to the values from before the scenario started
+//
+// JSON works too (YAML is a superset). Times are "90s", "2m", "1m30s", "500ms", "t+2m" or plain seconds.
+const YAML = require('yaml')
+
+const DURATION_UNITS = { h: 3600000, m: 60000, s: 1000, ms: 1 }
+
+// Milliseconds from "1m30s", "t+2m", 90 (seconds) ..., or NaN when unreadable
+const parseDuration = (value) => {
+  if (typeof value === 'number') return value >= 0 ? value * 1000 : NaN
+  const text = String(value || '').trim().replace(/^t\s*\+\s*/i, '')
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1000
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(ms|h|m|s)/gi)]
+  if (parts.length === 0 || parts.map(part => part[0].replace(/\s+/g, '')).join('') !== text.replace(/\s+/g, '')) return NaN
+  return parts.reduce((ms, [, amount, unit]) => ms + Number(amount) * DURATION_UNITS[unit.toLowerCase()], 0)
+}
+
+const formatDuration = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000))
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`
+}
+
+const describeStep = (step) => step.label || (step.reset
+  ? 'Back to normal'
+  : Object.entries(step.set).map(([key, value]) => `${key} = ${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', '))
+
+// Parses and validates a scenario; settings lists the config keys a step may set
+// Throws an Error with a readable message when the script is invalid
+const parseScenario = (text, settings) => {
+  let doc
+  try {
+    doc = YAML.parse(String(text || ''))
+  } catch (err) {
+    throw new Error(`Cannot parse scenario: ${err.message.split('\n')[0]}`)
+  }
+  if (Array.isArray(doc)) doc = { steps: doc }
+  if (!doc || !Array.isArray(doc.steps) || doc.steps.length === 0) {
+    throw new Error('A scenario needs a "steps" list.')
+  }
+
+  const steps = doc.steps.map((raw, i) => {
+    const where = `Step ${i + 1}`
+    if (!raw || typeof raw !== 'object') throw new Error(`${where} must be an object.`)
+    const at = parseDuration(raw.at)
+    if (Number.isNaN(at)) throw new Error(`${where}: "at" must be a time such as 90s, 2m or t+1m30s.`)
+    const duration = raw.duration === undefined ? null : parseDuration(raw.duration)
+    if (Number.isNaN(duration)) throw new Error(`${where}: "duration" must be a time such as 60s.`)
+
+    const reset = raw.reset === true
+    const set = raw.set || {}
+    if (!reset && (typeof set !== 'object' || Object.keys(set).length === 0)) {
+      throw new Error(`${where} needs "set" (settings to change) or "reset: true".`)
+    }
+    const unknown = Object.keys(set).filter(key => !settings.includes(key))
+    if (unknown.length) throw new Error(`${where}: unknown setting ${unknown.join(', ')}. Allowed: ${settings.join(', ')}.`)
+
+    const step = { at, duration: reset ? null : duration, reset, set: reset ? {} : set, label: raw.label ? String(raw.label) : null }
+    step.label = describeStep(step)
+    return step
+  })
+
+  return { name: String(doc.name || 'Untitled scenario'), steps: steps.sort((a, b) => a.at - b.at) }
+}
+
+// Entries kept in a run's log; older ones are dropped (pausing and resuming could add them forever)
+const MAX_LOG_ENTRIES = 200
+
+// Drives one scenario at a time against the config
+//   read(key)        current value of a setting
+//   write(key, value) applies a value (normalising it the way /config does)
+const createScenarioRunner = ({ read, write, tickMs = 250 }) => {
+  let run = null
+  let timer = null
+
+  const elapsed = () => {
+    if (!run) return 0
+    const end = run.pausedAt || Date.now()
+    return end - run.startedAt - run.pausedTotal
+  }
+
+  const log = (message) => {
+    run.log.push({ time: new Date().toISOString(), elapsed: formatDuration(elapsed()), message })
+    if (run.log.length > MAX_LOG_ENTRIES) run.log.splice(0, run.log.length - MAX_LOG_ENTRIES)
+    console.log(`🎬 [${run.scenario.name} ${formatDuration(elapsed())}] ${message}`)
+  }
+
+  const restoreBaseline = () => {
+    for (const [key, value] of Object.entries(run.baseline)) write(key, value)
+  }
+
+  const fire = (event) => {
+    const { step } = event
+    if (event.type === 'apply') {
+      if (step.reset) {
+        restoreBaseline()
+      } else {
+        event.previous = {}
+        for (const [key, value] of Object.entries(step.set)) {
+          event.previous[key] = read(key)
+          write(key, value)
+        }
+      }
+      run.phase = step.label
+      log(`Phase: ${step.label}`)
+    } else {
+      for (const [key, value] of Object.entries(event.applied.previous)) write(key, value)
+      run.phase = `Ended: ${step.label}`
+      log(`Reverted after ${formatDuration(step.duration)}: ${step.label}`)
+    }
+  }
+
+  const tick = () => {
+    if (!run || run.state !== 'running') return
+    const now = elapsed()
+    while (run.next < run.events.length && run.events[run.next].time <= now) fire(run.events[run.next++])
+    if (run.next >= run.events.length) finish('finished', 'Scenario finished')
+  }
+
+  const finish = (state, message) => {
+    clearInterval(timer)
+    timer = null
+    run.state = state
+    run.pausedAt = run.pausedAt || Date.now()
+    log(message)
+  }
+
+  const start = (scenario) => {
+    if (run && (run.state === 'running' || run.state === 'paused')) throw new Error('A scenario is already running. Abort it first.')
+
+    // Timeline of changes; a step with a duration also schedules its own revert
+    const events = []
+    for (const step of scenario.steps) {
+      const apply = { type: 'apply', time: step.at, step }
+      events.push(apply)
+      if (step.duration !== null) events.push({ type: 'revert', time: step.at + step.duration, step, applied: apply })
+    }
+    events.sort((a, b) => a.time - b.time)
+
+    const keys = new Set(scenario.steps.flatMap(step => Object.keys(step.set)))
+    run = {
+      scenario,
+      events,
+      next: 0,
+      state: 'running',
+      phase: 'Baseline',
+      baseline: Object.fromEntries([...keys].map(key => [key, read(key)])),
+      startedAt: Date.now(),
+      pausedAt: null,
+      pausedTotal: 0,
+      log: []
+    }
+    log(`Scenario started (${scenario.steps.length} steps, ${formatDuration(events[events.length - 1].time)})`)
+    timer = setInterval(tick, tickMs)
+    timer.unref()
+    tick()
+  }
+
+  const pause = () => {
+    if (!run || run.state !== 'running') return false
+    run.state = 'paused'
+    run.pausedAt = Date.now()
+    log('Paused')
+    return true
+  }
+
+  const resume = () => {
+    if (!run || run.state !== 'paused') return false
+    run.pausedTotal += Date.now() - run.pausedAt
+    run.pausedAt = null
+    run.state = 'running'
+    log('Resumed')
+    return true
+  }
+
+  // Stops the timeline and puts back every setting the scenario touched
+  const abort = () => {
+    if (!run || (run.state !== 'running' && run.state !== 'paused')) return false
+    restoreBaseline()
+    finish('aborted', 'Aborted, settings restored')
+    return true
+  }
+
+  const getStatus = () => {
+    if (!run) return { state: 'idle' }
+    const now = elapsed()
+    const upcoming = run.events[run.next]
+    return {
+      state: run.state,
+      name: run.scenario.name,
+      phase: run.phase,
+      elapsed: formatDuration(now),
+      total: formatDuration(run.events[run.events.length - 1].time),
+      next: upcoming && run.state !== 'aborted'
+        ? { label: upcoming.type === 'apply' ? upcoming.step.label : `End of: ${upcoming.step.label}`, in: formatDuration(upcoming.time - now) }
+        : null,
+      steps: run.scenario.steps.map(step => ({ at: formatDuration(step.at), duration: step.duration === null ? null : formatDuration(step.duration), label: step.label })),
+      log: run.log
+    }
+  }
+
+  return { start, pause, resume, abort, getStatus }
+}
+
+module.exports = { parseDuration, parseScenario, createScenarioRunner }
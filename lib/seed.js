@@ -0,0 +1,115 @@
+// --- SEED DATA ---
+// Fills the hotel with paid bookings spread over a date window, per room type, so workshops can
+// start from a realistic occupancy ("search while the hotel is 80% full").
+// Either a number of bookings (split over the room types by inventory) or a target occupancy.
+// With the same seed, window and starting state every run produces exactly the same bookings.
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_NIGHTS = 5
+const MAX_FAILED_ATTEMPTS = 500
+
+const FIRST_NAMES = ['Anna', 'Ben', 'Chloé', 'Daan', 'Emma', 'Finn', 'Greta', 'Hugo', 'Iris', 'Jonas', 'Kim', 'Lars', 'Mila', 'Noah', 'Olivia', 'Piet', 'Sara', 'Tom', 'Yara', 'Zoë']
+const LAST_NAMES = ['Bakker', 'de Vries', 'Jansen', 'Müller', 'Smith', 'Rossi', 'Dubois', 'Novak', 'Visser', 'Meijer', 'Kowalski', 'García', 'Peeters', 'Svensson']
+
+// mulberry32: small, fast and good enough to make test data; seed is any 32-bit integer
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    hex: (bytes) => Array.from({ length: bytes * 2 }, () => Math.floor(next() * 16).toString(16)).join('').toUpperCase()
+  }
+}
+
+// Numbers are used as they are, text ("workshop-3") is hashed (FNV-1a) so seeds can be memorable
+const toSeed = (value) => {
+  if (/^\d+$/.test(String(value))) return Number(value) >>> 0
+  let hash = 0x811C9DC5
+  for (const char of String(value)) hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0
+  return hash
+}
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0]
+
+// Local calendar date, the same "today" the booking form validates against
+const localDate = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+// Validates the request; returns { options } or { error }.
+// today (YYYY-MM-DD) is the default start of the window, which must not lie in the past.
+const normalizeSeedOptions = (input, today) => {
+  const blank = (value) => value === undefined || value === null || value === ''
+  const options = {
+    count: blank(input.count) ? null : Number(input.count),
+    occupancy: blank(input.occupancy) ? null : Number(input.occupancy),
+    from: blank(input.from) ? addDays(today, 1) : String(input.from),
+    days: blank(input.days) ? 30 : Number(input.days),
+    seed: blank(input.seed) ? String(Math.floor(Math.random() * 1000000)) : String(input.seed).trim()
+  }
+  if (options.count === null && options.occupancy === null) return { error: 'Give a number of bookings (count) or a target occupancy in percent.' }
+  if (options.count !== null && (!Number.isInteger(options.count) || options.count < 1 || options.count > 2000)) return { error: 'count must be a whole number from 1 to 2000.' }
+  if (options.occupancy !== null && !(options.occupancy > 0 && options.occupancy <= 100)) return { error: 'occupancy must be a percentage above 0 and at most 100.' }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.from) || addDays(options.from, 0) !== options.from) return { error: `from must be a date in format YYYY-MM-DD (got "${options.from}").` }
+  if (options.from < today) return { error: 'from cannot be in the past.' }
+  if (!Number.isInteger(options.days) || options.days < 1 || options.days > 365) return { error: 'days must be a whole number from 1 to 365.' }
+  if (!/^[\w.:-]{1,64}$/.test(options.seed)) return { error: 'seed may only contain letters, digits, "_", ".", ":" and "-".' }
+  return { options }
+}
+
+// Splits total over the room types in proportion to their inventory (largest remainder first)
+const splitByInventory = (total, roomTypes, getInventory) => {
+  const capacity = roomTypes.reduce((sum, room) => sum + getInventory(room.room_name), 0)
+  const shares = roomTypes.map(room => total * getInventory(room.room_name) / capacity)
+  const counts = shares.map(Math.floor)
+  const order = shares.map((share, i) => i).sort((a, b) => (shares[b] - counts[b]) - (shares[a] - counts[a]))
+  for (let i = 0; i < total - counts.reduce((sum, count) => sum + count, 0); i++) counts[order[i]]++
+  return counts
+}
+
+// Generates the bookings. book({ room, checkIn, nights, guests, guest, random }) is called for each
+// candidate and returns false when the room type is full for those dates.
+// checkStayRules is lib/pricing.js's, so minimum stays and guest limits are respected.
+const generateSeed = (options, { roomTypes, getInventory, checkStayRules, book }) => {
+  const random = createRandom(toSeed(options.seed))
+  const counts = options.count === null ? null : splitByInventory(options.count, roomTypes, getInventory)
+
+  return roomTypes.map((room, index) => {
+    const maxCount = counts ? counts[index] : Infinity
+    const maxNights = options.occupancy === null ? Infinity : Math.floor(getInventory(room.room_name) * options.days * options.occupancy / 100)
+    let bookings = 0
+    let roomNights = 0
+    let failed = 0
+
+    while (bookings < maxCount && roomNights < maxNights && failed < MAX_FAILED_ATTEMPTS) {
+      const offset = random.int(0, options.days - 1)
+      // Stays end inside the window and never overshoot the target occupancy
+      const nights = Math.min(random.int(1, MAX_NIGHTS), options.days - offset, maxNights - roomNights)
+      const guests = random.int(1, room.occupancy.max_guests)
+      const stay = {
+        room: room.room_name,
+        checkIn: addDays(options.from, offset),
+        nights,
+        guests,
+        guest: `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+        random
+      }
+      if (checkStayRules(room, { nights, guests }) || !book(stay)) {
+        failed++
+        continue
+      }
+      bookings++
+      roomNights += nights
+      failed = 0
+    }
+    return { room: room.room_name, bookings, roomNights }
+  })
+}
+
+module.exports = { createRandom, toSeed, normalizeSeedOptions, generateSeed, addDays, localDate }
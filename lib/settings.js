@@ -0,0 +1,81 @@
+// --- SETTINGS ---
+// Validation for the simulation config when it arrives as JSON: the config API, presets and
+// saved configs. The /config form is turned into the same shape first, so every way of changing
+// the config normalises values identically.
+const latency = require('./latency')
+const chaos = require('./chaos')
+const rateLimit = require('./ratelimit')
+
+const AUTH_MODES = ['cookie', 'token', 'jwt']
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+const flag = (value) => value === true || value === 'on' || value === 'true'
+const atLeastZero = (value) => Math.max(0, Number(value) || 0)
+const positiveOr = (fallback) => (value) => Number(value) > 0 ? Number(value) : fallback
+
+// One normaliser per setting; groups have one per key
+// (delays are latency profiles per route, see lib/latency.js)
+const NORMALIZERS = {
+  errorRate: (value) => Math.min(100, atLeastZero(value)),
+  chaosRules: (value) => (Array.isArray(value) ? value : []).map(chaos.normalizeRule).filter(Boolean),
+  rateLimit: {
+    enabled: flag,
+    keyBy: (value) => rateLimit.KEYS.includes(value) ? value : 'user',
+    rules: (value) => (Array.isArray(value) ? value : []).map(rateLimit.normalizeLimitRule).filter(Boolean)
+  },
+  paymentHoldMinutes: positiveOr(15),
+  capacity: {
+    workers: (value) => Math.floor(atLeastZero(value)),
+    queueSize: (value) => Number(value) >= 0 ? Math.floor(Number(value)) : 50
+  },
+  jwt: { accessTokenSeconds: positiveOr(300), refreshTokenSeconds: positiveOr(3600) },
+  csrf: { enabled: flag, cookie: flag },
+  sessions: { absoluteMinutes: atLeastZero, idleMinutes: atLeastZero },
+  diagnosticHeaders: flag,
+  authMode: (value) => value
+}
+
+// Overlays a (partial) patch onto base: groups are merged key by key, everything else replaced
+const mergeSettings = (base, patch) => {
+  const merged = JSON.parse(JSON.stringify(base))
+  for (const [key, value] of Object.entries(patch || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? { ...merged[key], ...value } : value
+  }
+  return merged
+}
+
+// Returns a complete, normalised config shaped like defaults.
+// strict: unknown settings and auth modes throw an Error (API, presets); otherwise they are dropped (old saves)
+const normalizeSettings = (settings, defaults, { strict = true } = {}) => {
+  if (!isPlainObject(settings)) throw new Error('Settings must be a JSON object.')
+  const unknown = []
+  const result = {}
+
+  for (const key of Object.keys(settings)) {
+    if (!(key in defaults)) unknown.push(key)
+    else if (isPlainObject(defaults[key])) {
+      if (!isPlainObject(settings[key])) throw new Error(`"${key}" must be an object.`)
+      unknown.push(...Object.keys(settings[key]).filter(inner => !(inner in defaults[key])).map(inner => `${key}.${inner}`))
+    }
+  }
+  if (strict && unknown.length) throw new Error(`Unknown setting ${unknown.join(', ')}. Allowed: ${Object.keys(defaults).join(', ')}.`)
+
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const value = key in settings ? settings[key] : fallback
+    if (key === 'delays') {
+      result.delays = Object.fromEntries(Object.keys(fallback).map(route => [route, latency.normalizeProfile(route in value ? value[route] : fallback[route])]))
+    } else if (isPlainObject(fallback)) {
+      result[key] = Object.fromEntries(Object.entries(NORMALIZERS[key]).map(([inner, normalize]) => [inner, normalize(inner in value ? value[inner] : fallback[inner])]))
+    } else {
+      result[key] = NORMALIZERS[key](value)
+    }
+  }
+
+  if (!AUTH_MODES.includes(result.authMode)) {
+    if (strict) throw new Error(`authMode must be one of ${AUTH_MODES.join(', ')}.`)
+    result.authMode = defaults.authMode
+  }
+  return result
+}
+
+module.exports = { AUTH_MODES, NORMALIZERS, mergeSettings, normalizeSettings }
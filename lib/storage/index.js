@@ -0,0 +1,79 @@
+// --- STORAGE ---
+// Picks the persistence backend from the environment:
+//   STORAGE=memory (default) | json | sqlite
+//   STORAGE_PATH=<file>       (default data/hotel.json or data/hotel.db)
+//
+// Every backend implements the same async interface:
+//   load()                          -> { reservations, config, sessions: { [store]: [[key, value]] }, presets }
+//   saveReservation(reservation)    insert or update by id
+//   clearReservations()             remove every reservation (environment reset)
+//   saveConfig(config)
+//   savePreset(preset) / deletePreset(name)   named config presets { name, description, settings }
+//   saveSession(store, key, value) / deleteSession(store, key) / clearSessions(store)
+// plus name, durable (false for memory) and location (the file, if any).
+const path = require('path')
+const { createMemoryStorage } = require('./memory')
+const { createJsonFileStorage } = require('./json-file')
+const { createSqliteStorage } = require('./sqlite')
+
+const DEFAULT_FILES = { json: 'hotel.json', sqlite: 'hotel.db' }
+
+const createStorage = (env = process.env) => {
+  const backend = String(env.STORAGE || 'memory').toLowerCase()
+  const file = () => path.resolve(env.STORAGE_PATH || path.join(__dirname, '..', '..', 'data', DEFAULT_FILES[backend]))
+
+  switch (backend) {
+    case 'memory': return createMemoryStorage()
+    case 'json': return createJsonFileStorage(file())
+    case 'sqlite': return createSqliteStorage(file())
+    default: throw new Error(`Unknown STORAGE "${env.STORAGE}" (expected memory, json or sqlite)`)
+  }
+}
+
+// Session records keep Date objects in memory but come back from storage as ISO strings
+const DATE_FIELDS = ['createdAt', 'lastSeen', 'expiresAt']
+
+const reviveSession = (value) => {
+  const revived = { ...value }
+  for (const field of DATE_FIELDS) {
+    if (revived[field]) revived[field] = new Date(revived[field])
+  }
+  return revived
+}
+
+// A Map whose set/delete/clear are written through to one session store of the backend.
+// Values mutated in place must be set() again to be saved.
+class PersistentMap extends Map {
+  constructor (storage, store) {
+    super()
+    this.storage = storage
+    this.store = store
+  }
+
+  // Fills the map from load() without writing anything back
+  hydrate (entries = []) {
+    for (const [key, value] of entries) super.set(key, reviveSession(value))
+    return this
+  }
+
+  set (key, value) {
+    super.set(key, value)
+    this.storage.saveSession(this.store, key, value).catch(logWriteError)
+    return this
+  }
+
+  delete (key) {
+    const existed = super.delete(key)
+    if (existed) this.storage.deleteSession(this.store, key).catch(logWriteError)
+    return existed
+  }
+
+  clear () {
+    super.clear()
+    this.storage.clearSessions(this.store).catch(logWriteError)
+  }
+}
+
+const logWriteError = (err) => console.error('❌ Storage write failed:', err.message)
+
+module.exports = { createStorage, PersistentMap, logWriteError }
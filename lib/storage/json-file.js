@@ -0,0 +1,96 @@
+// --- JSON FILE STORAGE ---
+// Keeps one document in memory and rewrites the whole file after every change.
+// Writes go to a temp file and are renamed into place, so a crash never leaves half a file;
+// changes made while a write is running are coalesced into the next one.
+const fs = require('fs')
+const path = require('path')
+
+const createJsonFileStorage = (file) => {
+  let doc = { reservations: {}, config: null, sessions: {}, presets: {} }
+  let lastWrite = Promise.resolve()
+  let queued = null
+
+  const writeNow = async () => {
+    const tmp = `${file}.tmp`
+    await fs.promises.writeFile(tmp, JSON.stringify(doc))
+    await fs.promises.rename(tmp, file)
+  }
+
+  const persist = () => {
+    if (queued) return queued
+    queued = lastWrite.catch(() => {}).then(() => {
+      queued = null
+      lastWrite = writeNow()
+      return lastWrite
+    })
+    return queued
+  }
+
+  const sessionStore = (store) => {
+    if (!doc.sessions[store]) doc.sessions[store] = {}
+    return doc.sessions[store]
+  }
+
+  return {
+    name: 'json',
+    durable: true,
+    location: file,
+
+    load: async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true })
+      try {
+        doc = { ...doc, ...JSON.parse(await fs.promises.readFile(file, 'utf8')) }
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw new Error(`Cannot read ${file}: ${err.message}`)
+      }
+      return {
+        reservations: Object.values(doc.reservations).sort((a, b) => a.id - b.id),
+        config: doc.config,
+        sessions: Object.fromEntries(Object.entries(doc.sessions).map(([store, entries]) => [store, Object.entries(entries)])),
+        presets: Object.values(doc.presets)
+      }
+    },
+
+    saveReservation: (reservation) => {
+      doc.reservations[reservation.id] = reservation
+      return persist()
+    },
+
+    clearReservations: () => {
+      doc.reservations = {}
+      return persist()
+    },
+
+    saveConfig: (config) => {
+      doc.config = config
+      return persist()
+    },
+
+    savePreset: (preset) => {
+      doc.presets[preset.name] = preset
+      return persist()
+    },
+
+    deletePreset: (name) => {
+      delete doc.presets[name]
+      return persist()
+    },
+
+    saveSession: (store, key, value) => {
+      sessionStore(store)[key] = value
+      return persist()
+    },
+
+    deleteSession: (store, key) => {
+      delete sessionStore(store)[key]
+      return persist()
+    },
+
+    clearSessions: (store) => {
+      doc.sessions[store] = {}
+      return persist()
+    }
+  }
+}
+
+module.exports = { createJsonFileStorage }
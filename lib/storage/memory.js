@@ -0,0 +1,19 @@
+// --- IN-MEMORY STORAGE ---
+// The original behaviour: nothing is written anywhere, everything is lost on restart.
+
+const createMemoryStorage = () => ({
+  name: 'memory',
+  durable: false,
+  location: null,
+  load: async () => ({ reservations: [], config: null, sessions: {}, presets: [] }),
+  saveReservation: async () => {},
+  clearReservations: async () => {},
+  saveConfig: async () => {},
+  savePreset: async () => {},
+  deletePreset: async () => {},
+  saveSession: async () => {},
+  deleteSession: async () => {},
+  clearSessions: async () => {}
+})
+
+module.exports = { createMemoryStorage }
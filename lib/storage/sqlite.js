@@ -0,0 +1,118 @@
+// --- SQLITE STORAGE ---
+// Uses the built-in node:sqlite module (Node.js 22.5+), so there is no native dependency to compile.
+// Rows hold the records as JSON; the columns next to them are only there to look at with the sqlite3 CLI.
+const fs = require('fs')
+const path = require('path')
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS reservations (
+    id INTEGER PRIMARY KEY,
+    room TEXT,
+    status TEXT,
+    booked_by TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS config (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS presets (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    store TEXT NOT NULL,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (store, key)
+  );
+`
+
+const openDatabase = (file) => {
+  let sqlite
+  try {
+    sqlite = require('node:sqlite')
+  } catch (err) {
+    throw new Error(`STORAGE=sqlite needs Node.js 22.5 or newer (running ${process.version})`)
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const db = new sqlite.DatabaseSync(file)
+  db.exec('PRAGMA journal_mode = WAL')
+  db.exec(SCHEMA)
+  return db
+}
+
+const createSqliteStorage = (file) => {
+  let db = null
+  let statements = null
+
+  return {
+    name: 'sqlite',
+    durable: true,
+    location: file,
+
+    load: async () => {
+      db = openDatabase(file)
+      statements = {
+        saveReservation: db.prepare(`
+          INSERT INTO reservations (id, room, status, booked_by, data) VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (id) DO UPDATE SET room = excluded.room, status = excluded.status, booked_by = excluded.booked_by, data = excluded.data`),
+        clearReservations: db.prepare('DELETE FROM reservations'),
+        saveConfig: db.prepare('INSERT INTO config (id, data) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data'),
+        savePreset: db.prepare('INSERT INTO presets (name, data) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data'),
+        deletePreset: db.prepare('DELETE FROM presets WHERE name = ?'),
+        saveSession: db.prepare('INSERT INTO sessions (store, key, data) VALUES (?, ?, ?) ON CONFLICT (store, key) DO UPDATE SET data = excluded.data'),
+        deleteSession: db.prepare('DELETE FROM sessions WHERE store = ? AND key = ?'),
+        clearSessions: db.prepare('DELETE FROM sessions WHERE store = ?')
+      }
+
+      const sessions = {}
+      for (const row of db.prepare('SELECT store, key, data FROM sessions').all()) {
+        if (!sessions[row.store]) sessions[row.store] = []
+        sessions[row.store].push([row.key, JSON.parse(row.data)])
+      }
+      const configRow = db.prepare('SELECT data FROM config WHERE id = 1').get()
+
+      return {
+        reservations: db.prepare('SELECT data FROM reservations ORDER BY id').all().map(row => JSON.parse(row.data)),
+        config: configRow ? JSON.parse(configRow.data) : null,
+        sessions,
+        presets: db.prepare('SELECT data FROM presets ORDER BY name').all().map(row => JSON.parse(row.data))
+      }
+    },
+
+    saveReservation: async (r) => {
+      statements.saveReservation.run(r.id, r.room, r.status, r.bookedBy, JSON.stringify(r))
+    },
+
+    clearReservations: async () => {
+      statements.clearReservations.run()
+    },
+
+    saveConfig: async (config) => {
+      statements.saveConfig.run(JSON.stringify(config))
+    },
+
+    savePreset: async (preset) => {
+      statements.savePreset.run(preset.name, JSON.stringify(preset))
+    },
+
+    deletePreset: async (name) => {
+      statements.deletePreset.run(name)
+    },
+
+    saveSession: async (store, key, value) => {
+      statements.saveSession.run(store, key, JSON.stringify(value))
+    },
+
+    deleteSession: async (store, key) => {
+      statements.deleteSession.run(store, key)
+    },
+
+    clearSessions: async (store) => {
+      statements.clearSessions.run(store)
+    }
+  }
+}
+
+module.exports = { createSqliteStorage }
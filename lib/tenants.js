@@ -0,0 +1,93 @@
+// --- TENANTS ---
+// Workshop mode: every team gets its own hotel under /t/<team>/ with its own config, bookings,
+// sessions and tokens, so one team's chaos experiment doesn't break another team's test run.
+//
+// The app keeps using its module-level state (config, reservations, tokenStore, ...). Each of
+// those is a scoped() proxy that forwards to the current tenant's copy: the tenant of the request
+// being handled (AsyncLocalStorage), or the default tenant (the hotel at /) outside a request.
+// Background jobs visit every tenant with forEach().
+const { AsyncLocalStorage } = require('async_hooks')
+
+const DEFAULT_TENANT = 'default'
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/
+
+const isValidTenantId = (id) => TENANT_ID_PATTERN.test(String(id || '')) && id !== DEFAULT_TENANT
+
+// Absolute links, form actions and sources in a page get the tenant's path prefix
+// ("/menu" -> "/t/red/menu"); protocol-relative ("//host") and full URLs are left alone
+const prefixLinks = (html, prefix) => html.replace(/(\s(?:href|action|src|formaction)=["'])\/(?!\/)/g, `$1${prefix}/`)
+
+// max: team tenants allowed at the same time (the default tenant doesn't count)
+const createTenants = ({ max = 50 } = {}) => {
+  const context = new AsyncLocalStorage()
+  const tenants = new Map()
+  // name -> make(tenant), how each piece of scoped state is created for a new tenant
+  const makers = new Map()
+
+  const newTenant = (id) => ({ id, isDefault: id === DEFAULT_TENANT, prefix: id === DEFAULT_TENANT ? '' : `/t/${id}`, createdAt: new Date(), state: new Map() })
+  const defaultTenant = newTenant(DEFAULT_TENANT)
+  tenants.set(DEFAULT_TENANT, defaultTenant)
+
+  const current = () => context.getStore() || defaultTenant
+  const run = (tenant, fn) => context.run(tenant, fn)
+
+  // A tenant's own copy of one piece of state, made the first time it is used
+  const stateOf = (tenant, name) => {
+    if (!tenant.state.has(name)) tenant.state.set(name, makers.get(name)(tenant))
+    return tenant.state.get(name)
+  }
+
+  // Declares per-tenant state: make(tenant) returns a fresh value (object, array, Map, ...).
+  // The default tenant's value is made right away and doubles as the proxy target, so
+  // Array.isArray() and instanceof keep working. Methods are bound to the real value.
+  const scoped = (name, make) => {
+    makers.set(name, make)
+    const target = make(defaultTenant)
+    defaultTenant.state.set(name, target)
+    const real = () => stateOf(current(), name)
+
+    return new Proxy(target, {
+      get: (_target, key) => {
+        const value = real()
+        const property = Reflect.get(value, key, value)
+        return typeof property === 'function' ? property.bind(value) : property
+      },
+      set: (_target, key, property) => Reflect.set(real(), key, property),
+      has: (_target, key) => Reflect.has(real(), key),
+      deleteProperty: (_target, key) => Reflect.deleteProperty(real(), key),
+      defineProperty: (_target, key, descriptor) => Reflect.defineProperty(real(), key, descriptor),
+      ownKeys: () => Reflect.ownKeys(real()),
+      getOwnPropertyDescriptor: (_target, key) => Reflect.getOwnPropertyDescriptor(real(), key)
+    })
+  }
+
+  const get = (id) => tenants.get(id) || null
+
+  // Returns the team's tenant, creating it when needed; null for an invalid id or when max is reached
+  const open = (id) => {
+    if (tenants.has(id)) return tenants.get(id)
+    if (!isValidTenantId(id) || tenants.size - 1 >= max) return null
+    const tenant = newTenant(id)
+    tenants.set(id, tenant)
+    console.log(`🏷️  Tenant created: ${id}`)
+    return tenant
+  }
+
+  const remove = (id) => {
+    if (id === DEFAULT_TENANT || !tenants.delete(id)) return false
+    console.log(`🗑️  Tenant removed: ${id}`)
+    return true
+  }
+
+  // Default tenant first, then the teams by name
+  const list = () => [defaultTenant, ...[...tenants.values()].filter(tenant => !tenant.isDefault).sort((a, b) => a.id.localeCompare(b.id))]
+
+  // Runs fn(tenant) once inside every tenant
+  const forEach = (fn) => {
+    for (const tenant of list()) run(tenant, () => fn(tenant))
+  }
+
+  return { max, defaultTenant, current, run, scoped, stateOf, get, open, remove, list, forEach }
+}
+
+module.exports = { DEFAULT_TENANT, TENANT_ID_PATTERN, isValidTenantId, prefixLinks, createTenants }
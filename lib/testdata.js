@@ -0,0 +1,197 @@
+// --- TEST DATA ---
+// CSV files for JMeter's CSV Data Set Config, generated from the app's own rules so they never
+// drift from what the login, booking and checkout forms accept.
+// Every file can mix in a percentage of rows that are meant to be rejected; the valid and reason
+// columns say which, so a test plan can assert on them. The same seed gives the same file.
+const { createRandom, toSeed, addDays, localDate } = require('./seed')
+
+const MAX_ROWS = 10000
+const WINDOW_DAYS = 90
+const MAX_NIGHTS = 14
+
+const FIRST_NAMES = ['Anna', 'Ben', 'Chloe', 'Daan', 'Emma', 'Finn', 'Greta', 'Hugo', 'Iris', 'Jonas', 'Lars', 'Mila', 'Noah', 'Sara', 'Tom', 'Zoe']
+const LAST_NAMES = ['Bakker', 'de Vries', 'Jansen', 'Smith', 'Rossi', 'Dubois', 'Novak', 'Visser', 'Meijer', 'Peeters']
+
+// Test cards from the checkout hint; more are generated with the same prefixes
+const TEST_CARDS = ['4111111111111111', '5500000000000004', '378282246310005']
+const CARD_PREFIXES = ['4', '51', '52', '53', '54', '55']
+
+const csvField = (value) => /[",\n\r]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value)
+const toCsv = (columns, rows) => [columns, ...rows.map(row => columns.map(column => row[column] === undefined ? '' : row[column]))]
+  .map(fields => fields.map(csvField).join(','))
+  .join('\n') + '\n'
+
+// Digit that makes the number pass the Luhn check
+const luhnDigit = (partial) => {
+  let sum = 0
+  for (let i = 0; i < partial.length; i++) {
+    let digit = Number(partial[partial.length - 1 - i])
+    if (i % 2 === 0) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2
+    sum += digit
+  }
+  return String((10 - sum % 10) % 10)
+}
+
+const randomDigits = (random, length) => Array.from({ length }, () => random.int(0, 9)).join('')
+
+const validCard = (random) => {
+  if (random.next() < 0.3) return random.pick(TEST_CARDS)
+  const prefix = random.pick(CARD_PREFIXES)
+  const partial = prefix + randomDigits(random, 15 - prefix.length)
+  return partial + luhnDigit(partial)
+}
+
+// MM/YY, months ahead of today (negative: already expired)
+const expiry = (today, months) => {
+  const date = new Date(today.getFullYear(), today.getMonth() + months, 1)
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getFullYear()).slice(-2)}`
+}
+
+const guestName = (random) => `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`
+
+// Exactly round(count * invalid%) rows are invalid, at random positions
+const invalidFlags = (random, count, invalidPercent) => {
+  const flags = Array.from({ length: count }, (_, i) => i < Math.round(count * invalidPercent / 100))
+  for (let i = flags.length - 1; i > 0; i--) {
+    const j = random.int(0, i)
+    ;[flags[i], flags[j]] = [flags[j], flags[i]]
+  }
+  return flags
+}
+
+// --- USERS ---
+// Credentials follow user<N> / Password<N> (see checkCredentials in app.js)
+const USER_COLUMNS = ['username', 'password', 'valid', 'reason']
+
+const userRows = ({ count, invalid, random }) => invalidFlags(random, count, invalid).map((isInvalid, i) => {
+  const n = i + 1
+  if (!isInvalid) return { username: `user${n}`, password: `Password${n}`, valid: true, reason: '' }
+  return random.pick([
+    { username: `user${n}`, password: `Password${n + 1}`, valid: false, reason: 'wrong password' },
+    { username: `user${n}`, password: `password${n}`, valid: false, reason: 'password is case sensitive' },
+    { username: `user${n}`, password: '', valid: false, reason: 'empty password' },
+    { username: `guest${n}`, password: `Password${n}`, valid: false, reason: 'unknown username' }
+  ])
+})
+
+// --- STAYS ---
+// Fields of the /reserve form. Valid rows pass every booking rule, but may still get
+// 409 Room Unavailable when the hotel is full (see the Reset & Seed panel).
+const STAY_COLUMNS = ['guest', 'room', 'checkIn', 'nights', 'guests', 'pets', 'valid', 'reason']
+
+const stayRows = ({ count, invalid, random, today, roomTypes }) => {
+  const isoToday = localDate(today)
+  const from = addDays(isoToday, 1)
+  return invalidFlags(random, count, invalid).map(isInvalid => {
+    const room = random.pick(roomTypes)
+    const minimumStay = (room.pricing && room.pricing.minimum_stay_nights) || 1
+    const maxGuests = room.occupancy.max_guests
+    const petsAllowed = !!(room.availability && room.availability.pets && room.availability.pets.allowed)
+    const stay = {
+      guest: guestName(random),
+      room: room.room_name,
+      checkIn: addDays(from, random.int(0, WINDOW_DAYS - 1)),
+      nights: random.int(minimumStay, Math.min(MAX_NIGHTS, minimumStay + 4)),
+      guests: random.int(1, maxGuests),
+      pets: petsAllowed && random.next() < 0.2 ? 1 : 0,
+      valid: true,
+      reason: ''
+    }
+    if (!isInvalid) return stay
+
+    const faults = [
+      { checkIn: addDays(isoToday, -random.int(1, 30)), reason: 'check-in in the past' },
+      { checkIn: stay.checkIn.split('-').reverse().join('-'), reason: 'date not YYYY-MM-DD' },
+      { guests: maxGuests + 1, reason: `more than ${maxGuests} guest(s)` },
+      { room: `${room.room_name} Deluxe`, reason: 'unknown room type' }
+    ]
+    if (minimumStay > 1) faults.push({ nights: minimumStay - 1, reason: `below the minimum stay of ${minimumStay} nights` })
+    if (!petsAllowed) faults.push({ pets: 1, reason: 'pets not allowed' })
+    return { ...stay, ...random.pick(faults), valid: false }
+  })
+}
+
+// --- PAYMENTS ---
+// Fields of the /checkout form; method limits the file to one payment method
+const PAYMENT_METHODS = ['creditcard', 'paypal', 'ideal']
+const PAYMENT_COLUMNS = ['paymentMethod', 'cardNumber', 'cardExpiry', 'cardCvv', 'cardHolder', 'paypalEmail', 'idealBank', 'valid', 'reason']
+
+const paymentRows = ({ count, invalid, random, today, method, idealBanks }) => invalidFlags(random, count, invalid).map(isInvalid => {
+  const paymentMethod = method === 'all' ? random.pick(PAYMENT_METHODS) : method
+  const holder = guestName(random)
+
+  if (paymentMethod === 'creditcard') {
+    const cardNumber = validCard(random)
+    const card = {
+      paymentMethod,
+      cardNumber,
+      cardExpiry: expiry(today, random.int(1, 60)),
+      cardCvv: randomDigits(random, cardNumber.startsWith('3') ? 4 : 3),
+      cardHolder: holder,
+      valid: true,
+      reason: ''
+    }
+    if (!isInvalid) return card
+    const wrongDigit = String((Number(cardNumber.slice(-1)) + random.int(1, 9)) % 10)
+    return {
+      ...card,
+      ...random.pick([
+        { cardNumber: cardNumber.slice(0, -1) + wrongDigit, reason: 'fails the Luhn check' },
+        { cardNumber: cardNumber.slice(0, 12), reason: 'card number too short' },
+        { cardExpiry: expiry(today, -random.int(1, 24)), reason: 'card expired' },
+        { cardExpiry: `13/${expiry(today, 12).slice(-2)}`, reason: 'invalid expiry month' },
+        { cardCvv: randomDigits(random, 2), reason: 'CVV not 3 or 4 digits' },
+        { cardHolder: '', reason: 'missing cardholder' }
+      ]),
+      valid: false
+    }
+  }
+
+  if (paymentMethod === 'paypal') {
+    const email = `${holder.toLowerCase().replace(/[^a-z]+/g, '.')}${random.int(1, 999)}@example.com`
+    if (!isInvalid) return { paymentMethod, paypalEmail: email, valid: true, reason: '' }
+    return {
+      paymentMethod,
+      ...random.pick([
+        { paypalEmail: email.replace('@', '.'), reason: 'email without @' },
+        { paypalEmail: email.replace('.com', ''), reason: 'email without domain suffix' },
+        { paypalEmail: '', reason: 'missing email' }
+      ]),
+      valid: false
+    }
+  }
+
+  if (!isInvalid) return { paymentMethod, idealBank: random.pick(idealBanks), valid: true, reason: '' }
+  return { paymentMethod, idealBank: '', valid: false, reason: 'no bank selected' }
+})
+
+const DATA_FILES = {
+  users: { columns: USER_COLUMNS, rows: userRows, description: 'Logins: user<N> / Password<N>' },
+  stays: { columns: STAY_COLUMNS, rows: stayRows, description: 'Bookings: room, future check-in, nights (minimum stay), guests, pets' },
+  payments: { columns: PAYMENT_COLUMNS, rows: paymentRows, description: 'Checkout: test cards (Luhn), PayPal emails, iDEAL banks' }
+}
+
+// Validates the query; returns { options } or { error }
+const normalizeDataOptions = (query) => {
+  const blank = (value) => value === undefined || value === ''
+  const options = {
+    count: blank(query.count) ? 100 : Number(query.count),
+    invalid: blank(query.invalid) ? 0 : Number(query.invalid),
+    seed: blank(query.seed) ? String(Math.floor(Math.random() * 1000000)) : String(query.seed).trim(),
+    method: blank(query.method) ? 'all' : String(query.method)
+  }
+  if (!Number.isInteger(options.count) || options.count < 1 || options.count > MAX_ROWS) return { error: `count must be a whole number from 1 to ${MAX_ROWS}.` }
+  if (!(options.invalid >= 0 && options.invalid <= 100)) return { error: 'invalid must be a percentage from 0 to 100.' }
+  if (!/^[\w.:-]{1,64}$/.test(options.seed)) return { error: 'seed may only contain letters, digits, "_", ".", ":" and "-".' }
+  if (![...PAYMENT_METHODS, 'all'].includes(options.method)) return { error: `method must be one of ${PAYMENT_METHODS.join(', ')} or all.` }
+  return { options }
+}
+
+// today: Date (local time) the dates and card expiries are relative to.
+// context: { roomTypes, idealBanks } from the app
+const generateDataFile = (name, options, today, context) => {
+  const file = DATA_FILES[name]
+  return toCsv(file.columns, file.rows({ ...options, random: createRandom(toSeed(options.seed)), today, ...context }))
+}
+
+module.exports = { DATA_FILES, PAYMENT_METHODS, normalizeDataOptions, generateDataFile }
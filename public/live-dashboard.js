@@ -0,0 +1,121 @@
+// Live dashboard for /config/live: listens to /config/live/events (Server-Sent Events)
+// and draws rolling line charts on canvas, no chart library needed
+const HISTORY_SECONDS = 300
+const COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b', '#84cc16', '#f97316']
+
+let points = []
+const routeColors = {}
+const colorFor = (route) => routeColors[route] = routeColors[route] || COLORS[Object.keys(routeColors).length % COLORS.length]
+
+// Rounds the axis maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+  if (value <= 1) return 1
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)))
+  return [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= value)
+}
+
+// series: [{ color, values: [number|null per point] }], x positions follow the point times
+const drawChart = (canvas, series) => {
+  const ratio = window.devicePixelRatio || 1
+  const width = canvas.clientWidth
+  const height = canvas.clientHeight
+  canvas.width = width * ratio
+  canvas.height = height * ratio
+  const ctx = canvas.getContext('2d')
+  ctx.scale(ratio, ratio)
+  ctx.clearRect(0, 0, width, height)
+
+  const styles = getComputedStyle(document.body)
+  const muted = styles.getPropertyValue('--pico-muted-color').trim() || 'grey'
+  const gridColor = styles.getPropertyValue('--pico-muted-border-color').trim() || '#ddd'
+  const left = 44
+  const bottom = height - 18
+  const max = niceMax(Math.max(0, ...series.flatMap(line => line.values.filter(value => value !== null))))
+  const now = Date.now()
+  const x = (time) => left + (width - left) * (1 - (now - time) / (HISTORY_SECONDS * 1000))
+  const y = (value) => bottom - (bottom - 6) * value / max
+
+  // Grid and axis labels
+  ctx.font = '11px sans-serif'
+  ctx.fillStyle = muted
+  ctx.strokeStyle = gridColor
+  ctx.lineWidth = 1
+  for (let i = 0; i <= 4; i++) {
+    const value = max * i / 4
+    ctx.beginPath()
+    ctx.moveTo(left, y(value))
+    ctx.lineTo(width, y(value))
+    ctx.stroke()
+    ctx.textAlign = 'right'
+    ctx.fillText(Number.isInteger(value) ? value : value.toFixed(1), left - 6, y(value) + 4)
+  }
+  for (let minutes = 5; minutes >= 0; minutes--) {
+    const position = x(now - minutes * 60 * 1000)
+    ctx.textAlign = minutes === 0 ? 'right' : minutes === 5 ? 'left' : 'center'
+    ctx.fillText(minutes === 0 ? 'now' : `-${minutes}m`, position, height - 4)
+  }
+
+  // Lines; null values (no requests that second) leave a gap
+  ctx.lineWidth = 2
+  for (const line of series) {
+    ctx.strokeStyle = line.color
+    ctx.beginPath()
+    let drawing = false
+    line.values.forEach((value, i) => {
+      if (value === null) {
+        drawing = false
+        return
+      }
+      const px = x(points[i].time)
+      if (drawing) ctx.lineTo(px, y(value))
+      else ctx.moveTo(px, y(value))
+      drawing = true
+    })
+    ctx.stroke()
+  }
+}
+
+const showValue = (id, value) => { document.getElementById(`${id}-value`).textContent = value }
+
+const render = () => {
+  const latest = points[points.length - 1]
+  if (!latest) return
+  const single = (id, key, color) => {
+    drawChart(document.getElementById(id), [{ color, values: points.map(point => point[key]) }])
+    showValue(id, latest[key])
+  }
+  single('chart-rps', 'rps', COLORS[0])
+  single('chart-errors', 'errorRate', COLORS[1])
+  single('chart-sessions', 'sessions', COLORS[2])
+  single('chart-bookings', 'bookingsPerMinute', COLORS[3])
+
+  const routes = [...new Set(points.flatMap(point => Object.keys(point.routes)))].sort()
+  drawChart(document.getElementById('chart-latency'), routes.map(route => ({
+    color: colorFor(route),
+    values: points.map(point => point.routes[route] ? point.routes[route].p95 : null)
+  })))
+
+  const rows = Object.entries(latest.routes).map(([route, stats]) => `
+    <tr>
+      <td><span style="display:inline-block; width:.8rem; height:.8rem; border-radius:2px; background:${colorFor(route)}"></span></td>
+      <td><code>${route.replace(/</g, '&lt;')}</code></td><td>${stats.count}</td><td>${stats.p50}</td><td>${stats.p95}</td>
+    </tr>`)
+  document.getElementById('latency-rows').innerHTML = rows.join('') || '<tr><td colspan="5" style="color:grey">No requests in the last seconds.</td></tr>'
+}
+
+const status = document.getElementById('live-status')
+// Next to the page, so a team's dashboard (/t/<team>/config/live) streams that team's numbers
+const events = new EventSource(location.pathname.replace(/\/?$/, '/events'))
+events.addEventListener('history', (event) => {
+  points = JSON.parse(event.data)
+  render()
+})
+events.onmessage = (event) => {
+  points.push(JSON.parse(event.data))
+  points = points.filter(point => point.time > Date.now() - HISTORY_SECONDS * 1000)
+  render()
+}
+// EventSource reconnects by itself, e.g. after a server restart
+events.onopen = () => { status.textContent = '● Live' }
+events.onerror = () => { status.textContent = 'Reconnecting…' }
+window.addEventListener('resize', render)
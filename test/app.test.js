@@ -0,0 +1,201 @@
+// Smoke tests against a running app: the rules that handle money and auth end to end
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const net = require('net')
+const path = require('path')
+const { spawn } = require('child_process')
+const pricing = require('../lib/pricing')
+const roomTypes = require('../rooms.json')
+
+const ADMIN = { authorization: `Basic ${Buffer.from('admin:password').toString('base64')}` }
+const CHECK_IN = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+
+let server
+let base
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().listen(0, () => {
+    const { port } = probe.address()
+    probe.close(() => resolve(port))
+  }).on('error', reject)
+})
+
+test.before(async () => {
+  const port = await freePort()
+  base = `http://127.0.0.1:${port}`
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+    env: { ...process.env, PORT: String(port), STORAGE: 'memory', INSTRUCTOR_PASSWORD: '', CONFIG_AUTH: 'on' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  })
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => { if (String(chunk).includes('App running')) resolve() })
+    server.on('exit', code => reject(new Error(`app exited with code ${code}`)))
+  })
+})
+
+test.after(() => server.kill())
+
+// A browser with its own cookie jar
+const client = () => {
+  const cookies = new Map()
+  const request = async (url, { method = 'GET', form, json, headers = {} } = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...headers,
+        ...(cookies.size ? { cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') } : {}),
+        ...(form ? { 'content-type': 'application/x-www-form-urlencoded' } : {}),
+        ...(json ? { 'content-type': 'application/json' } : {})
+      },
+      body: form ? new URLSearchParams(form).toString() : json ? JSON.stringify(json) : undefined
+    })
+    for (const cookie of res.headers.getSetCookie()) {
+      const [, name, value] = cookie.match(/^([^=]+)=([^;]*)/)
+      if (value) cookies.set(name, value)
+      else cookies.delete(name)
+    }
+    const body = await res.text()
+    return { status: res.status, location: res.headers.get('location'), body, json: () => JSON.parse(body) }
+  }
+  return { request, cookies }
+}
+
+const loginApi = async (username, password) => {
+  const browser = client()
+  const res = await browser.request('/api/v1/login', { method: 'POST', json: { username, password } })
+  assert.equal(res.status, 200)
+  return browser
+}
+
+// Books and pays a stay, returns the booking id and what was paid
+const bookPaid = async (browser, room, checkIn = CHECK_IN, nights = 2) => {
+  const booked = await browser.request('/api/v1/reservations', { method: 'POST', json: { room, checkIn, nights, guests: 1, pets: 0 } })
+  assert.equal(booked.status, 201, booked.body)
+  const { reservation, quote } = booked.json()
+  const paid = await browser.request('/api/v1/checkout', {
+    method: 'POST',
+    json: { reservation: reservation.id, totalPrice: quote.total, paymentMethod: 'paypal', paypalEmail: 'guest@example.com' }
+  })
+  assert.equal(paid.status, 200, paid.body)
+  return { id: reservation.id, paid: quote.total }
+}
+
+const hiddenCsrf = (html) => [...html.matchAll(/name="_csrf" value="([^"]+)"/g)].map(match => match[1])
+const fee = (html) => Number(html.match(/<strong>Fee:<\/strong> €([\d.]+)/)[1])
+
+test('the username cookie is signed: a forged or altered one is not logged in', async () => {
+  const forged = client()
+  forged.cookies.set('username', 'user1')
+  assert.equal((await forged.request('/menu')).status, 302)
+
+  const browser = client()
+  await browser.request('/login', { method: 'POST', form: { username: 'user1', password: 'Password1' } })
+  assert.equal((await browser.request('/menu')).status, 200)
+
+  browser.cookies.set('username', browser.cookies.get('username').replace(/^user1\./, 'staff1.'))
+  assert.equal((await browser.request('/menu')).status, 302)
+})
+
+test('checkout only accepts the server-side total', async () => {
+  const browser = await loginApi('user2', 'Password2')
+  const booked = await browser.request('/api/v1/reservations', {
+    method: 'POST',
+    json: { room: roomTypes[0].room_name, checkIn: addDays(CHECK_IN, 20), nights: 1, guests: 1, pets: 0 }
+  })
+  const { reservation, quote } = booked.json()
+  const pay = (totalPrice) => browser.request('/api/v1/checkout', {
+    method: 'POST',
+    json: { reservation: reservation.id, totalPrice, paymentMethod: 'paypal', paypalEmail: 'guest@example.com' }
+  })
+
+  assert.equal((await pay(undefined)).status, 400)
+  assert.equal((await pay(quote.total - 1)).status, 400)
+  const paid = await pay(quote.total)
+  assert.equal(paid.status, 200)
+  assert.equal(paid.json().amountPaid, quote.total)
+})
+
+test('stays outside 1 to 14 whole nights are rejected before booking', async () => {
+  const browser = await loginApi('user3', 'Password3')
+  for (const nights of [0, 1.5, 15, 3000000]) {
+    const res = await browser.request('/api/v1/reservations', {
+      method: 'POST',
+      json: { room: roomTypes[0].room_name, checkIn: CHECK_IN, nights, guests: 1, pets: 0 }
+    })
+    assert.equal(res.status, 400, `nights ${nights}`)
+  }
+})
+
+test('modifying a paid booking requotes it and charges the fee only for given-up nights', async () => {
+  const room = roomTypes.find(type => !type.pricing.refundable)
+  const browser = await loginApi('user4', 'Password4')
+  const { id, paid } = await bookPaid(browser, room.room_name, addDays(CHECK_IN, 40))
+  const modify = (checkIn, nights) => browser.request(`/reservations/${id}/modify`, { method: 'POST', form: { checkIn, nights, confirm: 'yes' } })
+
+  // Extending keeps every booked night: no fee, the extra night is still to pay
+  const extended = await modify(addDays(CHECK_IN, 40), 3)
+  assert.equal(extended.status, 200)
+  assert.equal(fee(extended.body), 0)
+  const longer = pricing.quoteStay(room, { nights: 3, guests: 1 }).total
+  assert.equal((await browser.request(`/api/v1/reservations/${id}`)).json().priceDifference, Math.round((longer - paid) * 100) / 100)
+
+  // Moving gives the booked nights up: the non-refundable rate charges the whole stay
+  const moved = await modify(addDays(CHECK_IN, 50), 3)
+  assert.equal(fee(moved.body), longer)
+})
+
+test('cancelling follows the cancellation policy', async () => {
+  const room = roomTypes.find(type => !type.pricing.refundable)
+  const browser = await loginApi('user5', 'Password5')
+  const { id, paid } = await bookPaid(browser, room.room_name, addDays(CHECK_IN, 70))
+
+  assert.equal(fee((await browser.request(`/reservations/${id}/cancel`)).body), paid)
+  const cancelled = await browser.request(`/reservations/${id}/cancel`, { method: 'POST', form: {} })
+  assert.equal(cancelled.status, 200)
+  assert.equal((await browser.request(`/reservations/${id}/cancel`)).status, 409)
+})
+
+test('CSRF: one-time form tokens bound to the XSRF-TOKEN cookie', async (t) => {
+  const settings = (csrf) => fetch(`${base}/config/settings`, { method: 'PATCH', headers: { ...ADMIN, 'content-type': 'application/json' }, body: JSON.stringify({ csrf }) })
+  assert.equal((await settings({ enabled: true, cookie: true })).status, 200)
+  t.after(() => settings({ enabled: false, cookie: false }))
+
+  const browser = client()
+  await browser.request('/login', { method: 'POST', form: { username: 'user6', password: 'Password6' } })
+  const reserve = (extra) => browser.request('/reserve', {
+    method: 'POST',
+    form: { guest: 'Guest', room: roomTypes[0].room_name, checkIn: addDays(CHECK_IN, 90), nights: 1, guests: 1, pets: 0, ...extra }
+  })
+
+  const [token] = hiddenCsrf((await browser.request('/reserve')).body)
+  assert.ok(token)
+  assert.equal((await reserve({})).status, 403)
+
+  const cookie = browser.cookies.get('XSRF-TOKEN')
+  browser.cookies.set('XSRF-TOKEN', '0'.repeat(32))
+  assert.equal((await reserve({ _csrf: token })).status, 403)
+
+  browser.cookies.set('XSRF-TOKEN', cookie)
+  const [fresh] = hiddenCsrf((await browser.request('/reserve')).body)
+  assert.equal((await reserve({ _csrf: fresh })).status, 302)
+  assert.equal((await reserve({ _csrf: fresh })).status, 403)
+})
+
+test('CSRF: every form on /config works, and cross-site posts are refused', async () => {
+  const browser = client()
+  await browser.request('/login', { method: 'POST', form: { username: 'admin', password: 'password' } })
+  const page = await browser.request('/config')
+  const tokens = hiddenCsrf(page.body)
+  assert.ok(tokens.length > 1, 'the config page carries a token per form')
+
+  // The first form on the page, not only the last one rendered
+  const first = page.body.match(/<form action="\/config\/presets" method="POST"[\s\S]*?name="_csrf" value="([^"]+)"[\s\S]*?name="name" value="([^"]+)"/)
+  const applied = await browser.request('/config/presets', { method: 'POST', form: { _csrf: first[1], action: 'apply', name: first[2] } })
+  assert.equal(applied.status, 302)
+
+  // Basic credentials ride along on a cross-site form, but it has neither a token nor a JSON body
+  assert.equal((await fetch(`${base}/config`, { method: 'POST', headers: ADMIN, body: new URLSearchParams({ errorRate: '50' }) })).status, 403)
+  assert.equal((await fetch(`${base}/config/reset`, { method: 'POST', headers: ADMIN, body: new URLSearchParams({}) })).status, 415)
+})
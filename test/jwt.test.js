@@ -0,0 +1,33 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { signJwt, verifyJwt } = require('../lib/jwt')
+
+const SECRET = 'test-secret'
+
+test('a signed token verifies and returns its payload', () => {
+  const token = signJwt({ sub: 'user1', exp: Math.floor(Date.now() / 1000) + 60 }, SECRET)
+  assert.equal(verifyJwt(token, SECRET).payload.sub, 'user1')
+})
+
+test('a token signed with another secret is invalid', () => {
+  assert.deepEqual(verifyJwt(signJwt({ sub: 'user1' }, 'other-secret'), SECRET), { error: 'invalid' })
+})
+
+test('a token with an edited payload is invalid', () => {
+  const [header, , signature] = signJwt({ sub: 'user1' }, SECRET).split('.')
+  const forged = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url')
+  assert.deepEqual(verifyJwt(`${header}.${forged}.${signature}`, SECRET), { error: 'invalid' })
+})
+
+test('alg "none" and malformed tokens are invalid', () => {
+  const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url')
+  const body = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url')
+  assert.deepEqual(verifyJwt(`${header}.${body}.`, SECRET), { error: 'invalid' })
+  for (const token of ['', 'abc', 'a.b', 'a.b.c.d', null]) assert.deepEqual(verifyJwt(token, SECRET), { error: 'invalid' })
+})
+
+test('an expired token is reported as expired', () => {
+  const token = signJwt({ sub: 'user1', exp: 1000 }, SECRET)
+  assert.deepEqual(verifyJwt(token, SECRET), { error: 'expired' })
+  assert.equal(verifyJwt(token, SECRET, 999 * 1000).payload.sub, 'user1')
+})
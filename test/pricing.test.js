@@ -0,0 +1,84 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const pricing = require('../lib/pricing')
+
+const room = (overrides = {}) => ({
+  room_name: 'Test Room',
+  occupancy: { max_guests: 2 },
+  availability: { pets: { allowed: true, fee_per_night: 15 } },
+  ...overrides,
+  pricing: {
+    base_price_per_night: 100,
+    taxes_included: false,
+    taxes: [
+      { name: 'City tax', type: 'per_person_per_night', amount: 3.5 },
+      { name: 'VAT', type: 'percentage', amount: 9 }
+    ],
+    refundable: true,
+    cancellation_policy: { free_cancellation_until: '2026-03-01T18:00:00Z', penalty_after: 'First night charge' },
+    minimum_stay_nights: 2,
+    ...overrides.pricing
+  }
+})
+
+test('quoteStay adds room, pet fee and taxes per night and guest', () => {
+  const quote = pricing.quoteStay(room(), { nights: 3, guests: 2, pets: 1 })
+  // 300 room + 45 pets, 21 city tax, 9% of 345 = 31.05
+  assert.deepEqual(quote.lines.map(line => line.amount), [300, 45, 21, 31.05])
+  assert.equal(quote.total, 397.05)
+})
+
+test('quoteStay leaves the taxes out when they are included', () => {
+  assert.equal(pricing.quoteStay(room({ pricing: { taxes_included: true } }), { nights: 2 }).total, 200)
+})
+
+test('totalMatches accepts the quote to the cent and nothing else', () => {
+  const quote = pricing.quoteStay(room(), { nights: 2, guests: 1 })
+  assert.equal(pricing.totalMatches(quote, String(quote.total)), true)
+  assert.equal(pricing.totalMatches(quote, quote.total - 0.01), false)
+  assert.equal(pricing.totalMatches(quote, ''), false)
+  assert.equal(pricing.totalMatches(quote, 'abc'), false)
+})
+
+test('checkStayRules only allows 1 to MAX_STAY_NIGHTS whole nights', () => {
+  const noMinimum = room({ pricing: { minimum_stay_nights: 1 } })
+  assert.equal(pricing.checkStayRules(noMinimum, { nights: 1 }), null)
+  assert.equal(pricing.checkStayRules(noMinimum, { nights: pricing.MAX_STAY_NIGHTS }), null)
+  for (const nights of [0, -1, 1.5, pricing.MAX_STAY_NIGHTS + 1, 3000000, NaN]) {
+    assert.match(pricing.checkStayRules(noMinimum, { nights }), /whole number/, `nights ${nights}`)
+  }
+})
+
+test('checkStayRules enforces the minimum stay, guests and pets', () => {
+  assert.match(pricing.checkStayRules(room(), { nights: 1 }), /minimum stay of 2/)
+  assert.match(pricing.checkStayRules(room(), { nights: 2, guests: 3 }), /1 to 2 guest/)
+  assert.match(pricing.checkStayRules(room({ availability: {} }), { nights: 2, pets: 1 }), /Pets are not allowed/)
+  assert.equal(pricing.checkStayRules(room(), { nights: 2, guests: 2, pets: 1 }), null)
+})
+
+test('getCancellationTerms: unpaid holds are always free', () => {
+  const terms = pricing.getCancellationTerms(room({ pricing: { refundable: false } }), { status: 'PENDING_PAYMENT', nights: 2 })
+  assert.equal(terms.free, true)
+  assert.equal(terms.penalty, 0)
+})
+
+test('getCancellationTerms: non-refundable rates cost the whole stay', () => {
+  const nonRefundable = room({ pricing: { refundable: false } })
+  const terms = pricing.getCancellationTerms(nonRefundable, { status: 'PAID', nights: 2, guests: 1 })
+  assert.equal(terms.free, false)
+  assert.equal(terms.penalty, pricing.quoteStay(nonRefundable, { nights: 2, guests: 1 }).total)
+})
+
+test('getCancellationTerms: refundable rates are free until the deadline, then follow penalty_after', () => {
+  const stay = { status: 'PAID', nights: 3, guests: 1 }
+  const before = pricing.getCancellationTerms(room(), stay, new Date('2026-02-01T00:00:00Z'))
+  assert.equal(before.free, true)
+  assert.equal(before.penalty, 0)
+
+  const after = pricing.getCancellationTerms(room(), stay, new Date('2026-04-01T00:00:00Z'))
+  assert.equal(after.free, false)
+  assert.equal(after.penalty, 100)
+
+  const fullAmount = room({ pricing: { cancellation_policy: { free_cancellation_until: null, penalty_after: 'Full amount' } } })
+  assert.equal(pricing.getCancellationTerms(fullAmount, stay).penalty, pricing.quoteStay(fullAmount, stay).total)
+})